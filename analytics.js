@@ -0,0 +1,352 @@
+// --------------------------
+// Analytics
+// --------------------------
+//
+// Aggregation pipelines behind the /admin/analytics endpoints. Every report
+// takes ?from=&to= (days, both included, the last 30 days by default) and an
+// optional ?courtId=. Payments count on the day they were made, bookings on
+// the day they are for.
+//
+// Payments don't store their court, so a court filter on them goes through
+// the booking each payment is for. Refunds come off revenue.
+//
+// Days are UTC days throughout, the same days $dateTrunc buckets by.
+
+const { parseSlot } = require("./slots");
+const { scheduledSlots, closureBlocks } = require("./courtSchedule");
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const INTERVALS = ["day", "week", "month"];
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Bookings that were paid for, including ones since completed or refunded
+const PAID_STATUSES = ["paid", "confirmed", "completed"];
+
+const rate = (part, whole) =>
+  whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0;
+
+const formatUtcDate = (day) => day.toISOString().slice(0, 10);
+
+// Midnight UTC of a day like 2025-08-14, or null when there's no such day
+const utcDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  // Date rolls 2025-02-30 over into March
+  return Number.isNaN(day.getTime()) || formatUtcDate(day) !== date
+    ? null
+    : day;
+};
+
+// Read the shared report parameters. Returns { error } or the range.
+const parseAnalyticsQuery = (query) => {
+  const today = utcDay(formatUtcDate(new Date()));
+  const to = query.to || formatUtcDate(today);
+  const from =
+    query.from ||
+    formatUtcDate(new Date(today.getTime() - (DEFAULT_DAYS - 1) * DAY));
+
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to)) {
+    return { error: "from and to must be dates like 2025-08-14" };
+  }
+  const fromDate = utcDay(from);
+  const toDate = utcDay(to);
+  if (!fromDate || !toDate || toDate < fromDate) {
+    return { error: "to must be on or after from" };
+  }
+  if ((toDate - fromDate) / DAY >= MAX_DAYS) {
+    return { error: `A report covers at most ${MAX_DAYS} days` };
+  }
+
+  const interval = query.interval || "day";
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${INTERVALS.join(", ")}` };
+  }
+  if (query.courtId !== undefined && !/^[a-f\d]{24}$/i.test(query.courtId)) {
+    return { error: "Invalid court ID" };
+  }
+
+  const limit = Math.min(Math.max(Number(query.limit) || 10, 1), 100);
+
+  return {
+    from,
+    to,
+    fromDate,
+    // The end of the last day
+    untilDate: new Date(toDate.getTime() + DAY),
+    courtId: query.courtId,
+    interval,
+    limit,
+  };
+};
+
+// Every booking day of a range
+const rangeDates = ({ fromDate, untilDate }) => {
+  const dates = [];
+  for (let time = fromDate.getTime(); time < untilDate.getTime(); time += DAY) {
+    dates.push(formatUtcDate(new Date(time)));
+  }
+  return dates;
+};
+
+// Payments made in the range, with their net amount after refunds
+const paymentStages = (range) => {
+  const stages = [
+    { $match: { createdAt: { $gte: range.fromDate, $lt: range.untilDate } } },
+  ];
+  if (range.courtId) {
+    stages.push(
+      {
+        $lookup: {
+          from: "bookings",
+          let: {
+            bookingId: {
+              $convert: { input: "$bookingId", to: "objectId", onError: null },
+            },
+          },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$bookingId"] } } },
+            { $project: { courtId: 1 } },
+          ],
+          as: "booking",
+        },
+      },
+      { $match: { "booking.courtId": range.courtId } }
+    );
+  }
+  stages.push({
+    $set: {
+      refunded: { $ifNull: ["$refundedAmount", 0] },
+      net: { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] },
+    },
+  });
+  return stages;
+};
+
+// Bookings for days in the range
+const bookingMatch = (range) => ({
+  date: { $gte: range.from, $lte: range.to },
+  ...(range.courtId ? { courtId: range.courtId } : {}),
+});
+
+const revenuePipeline = (range) => [
+  ...paymentStages(range),
+  {
+    $group: {
+      _id: {
+        $dateTrunc: {
+          date: "$createdAt",
+          unit: range.interval,
+          startOfWeek: "monday",
+        },
+      },
+      payments: { $sum: 1 },
+      gross: { $sum: "$amount" },
+      refunded: { $sum: "$refunded" },
+      net: { $sum: "$net" },
+    },
+  },
+  { $sort: { _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      payments: 1,
+      gross: { $round: ["$gross", 2] },
+      refunded: { $round: ["$refunded", 2] },
+      net: { $round: ["$net", 2] },
+    },
+  },
+];
+
+const topCustomersPipeline = (range) => [
+  ...paymentStages(range),
+  {
+    $group: {
+      _id: "$email",
+      payments: { $sum: 1 },
+      bookings: { $addToSet: "$bookingId" },
+      net: { $sum: "$net" },
+      lastPaidAt: { $max: "$createdAt" },
+    },
+  },
+  { $sort: { net: -1, _id: 1 } },
+  { $limit: range.limit },
+  {
+    $project: {
+      _id: 0,
+      email: "$_id",
+      payments: 1,
+      bookings: { $size: "$bookings" },
+      net: { $round: ["$net", 2] },
+      lastPaidAt: 1,
+    },
+  },
+];
+
+const couponImpactPipeline = (range) => [
+  ...paymentStages(range),
+  { $match: { coupon: { $ne: null } } },
+  {
+    $group: {
+      _id: "$coupon",
+      redemptions: { $sum: 1 },
+      customers: { $addToSet: "$email" },
+      discount: { $sum: "$discount" },
+      net: { $sum: "$net" },
+    },
+  },
+  {
+    $lookup: {
+      from: "coupons",
+      localField: "_id",
+      foreignField: "code",
+      as: "coupon",
+    },
+  },
+  { $sort: { discount: -1, _id: 1 } },
+  {
+    $project: {
+      _id: 0,
+      code: "$_id",
+      type: { $ifNull: [{ $first: "$coupon.type" }, "fixed"] },
+      redemptions: 1,
+      customers: { $size: "$customers" },
+      discount: { $round: ["$discount", 2] },
+      net: { $round: ["$net", 2] },
+      // What these bookings would have brought in at full price
+      gross: { $round: [{ $add: ["$net", "$discount"] }, 2] },
+    },
+  },
+];
+
+// Booking counts by status, with how many were ever paid for
+const bookingOutcomesPipeline = (range) => [
+  { $match: bookingMatch(range) },
+  {
+    $group: {
+      _id: "$status",
+      count: { $sum: 1 },
+      paid: {
+        $sum: {
+          $cond: [
+            {
+              $or: [
+                { $in: ["$status", PAID_STATUSES] },
+                { $gt: ["$paidAt", null] },
+              ],
+            },
+            1,
+            0,
+          ],
+        },
+      },
+    },
+  },
+];
+
+// Rates from the rows of bookingOutcomesPipeline
+const bookingOutcomes = (rows) => {
+  const byStatus = Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  const count = (status) => byStatus[status] || 0;
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  const paid = rows.reduce((sum, row) => sum + row.paid, 0);
+
+  return {
+    total,
+    byStatus,
+    paid,
+    conversionRate: rate(paid, total),
+    rejectionRate: rate(count("rejected"), total),
+    cancellationRate: rate(count("cancelled"), total),
+    expiryRate: rate(count("expired"), total),
+  };
+};
+
+// Booked slots per court and slot over the range
+const bookedSlotsPipeline = (range, activeStatuses) => [
+  { $match: { ...bookingMatch(range), status: { $in: activeStatuses } } },
+  { $unwind: "$slots" },
+  {
+    $group: {
+      _id: { courtId: "$courtId", slot: "$slots" },
+      booked: { $sum: 1 },
+    },
+  },
+];
+
+// Occupancy per court and hour of day: booked slots against the slots the
+// court offered over the range. A slot counts towards the hour it starts in.
+// Closures offer nothing, and neither does a court from the day it was
+// archived; courts archived before the range are left out.
+const occupancyReport = (courts, bookedRows, closures, range) => {
+  const dates = rangeDates(range);
+
+  const listed = courts.filter(
+    (court) => !court.archivedAt || court.archivedAt >= range.fromDate
+  );
+  return listed.map((court) => {
+    const courtId = String(court._id);
+    const courtClosures = closures.filter(
+      (closure) => closure.courtId === courtId
+    );
+    const archivedOn = court.archivedAt
+      ? formatUtcDate(new Date(court.archivedAt))
+      : null;
+    const hours = new Map();
+    const hourOf = (slot) => {
+      const parsed = parseSlot(slot);
+      if (!parsed) return null;
+      const hour = Math.floor(parsed.start / 60);
+      if (!hours.has(hour)) hours.set(hour, { hour, offered: 0, booked: 0 });
+      return hours.get(hour);
+    };
+
+    for (const date of dates) {
+      if (archivedOn && date >= archivedOn) break;
+      for (const slot of scheduledSlots(court, date)) {
+        if (
+          courtClosures.some((closure) => closureBlocks(closure, date, slot))
+        ) {
+          continue;
+        }
+        const entry = hourOf(slot);
+        if (entry) entry.offered += 1;
+      }
+    }
+    for (const row of bookedRows) {
+      if (row._id.courtId !== courtId) continue;
+      const entry = hourOf(row._id.slot);
+      if (entry) entry.booked += row.booked;
+    }
+
+    const byHour = [...hours.values()]
+      .sort((a, b) => a.hour - b.hour)
+      .map((entry) => ({
+        ...entry,
+        occupancy: rate(entry.booked, entry.offered),
+      }));
+    const offered = byHour.reduce((sum, entry) => sum + entry.offered, 0);
+    const booked = byHour.reduce((sum, entry) => sum + entry.booked, 0);
+
+    return {
+      courtId,
+      courtName: court.name || court.type,
+      offered,
+      booked,
+      occupancy: rate(booked, offered),
+      byHour,
+    };
+  });
+};
+
+module.exports = {
+  parseAnalyticsQuery,
+  revenuePipeline,
+  topCustomersPipeline,
+  couponImpactPipeline,
+  bookingOutcomesPipeline,
+  bookingOutcomes,
+  bookedSlotsPipeline,
+  occupancyReport,
+};
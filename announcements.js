@@ -0,0 +1,127 @@
+// --------------------------
+// Announcement Rules
+// --------------------------
+//
+// An announcement is shown between publishAt and expiresAt (either may be
+// unset) to one audience:
+//
+//   all      everyone, signed in or not
+//   members  members and admins
+//   admins   admins, and the managers of the announcement's venue
+//   venue    anyone looking at that venue or one of its courts
+//   court    anyone looking at that court
+//
+// Pinned announcements come first, then higher priorities. Announcements
+// created before these rules have none of the fields and show to everyone.
+
+const ANNOUNCEMENT_AUDIENCES = ["all", "members", "admins", "venue", "court"];
+
+// Mongo filter for what a user (null when signed out) may see at `now`.
+// venueId and court are what the caller is looking at, if anything.
+const visibleAnnouncementsFilter = (
+  user,
+  { venueId = null, court = null, now = new Date() } = {}
+) => {
+  const role = user?.role;
+  const audiences = [{ audience: { $in: [null, "all"] } }];
+
+  if (role === "member" || role === "admin") {
+    audiences.push({ audience: "members" });
+  }
+  if (role === "admin") {
+    audiences.push({ audience: "admins" });
+  }
+  if (role === "venue-manager") {
+    audiences.push({
+      audience: "admins",
+      venueId: { $in: user.venueIds || [] },
+    });
+  }
+
+  const lookingAtVenue = court ? court.venueId ?? null : venueId;
+  if (lookingAtVenue) {
+    audiences.push({ audience: "venue", venueId: lookingAtVenue });
+  }
+  if (court) {
+    audiences.push({ audience: "court", courtId: String(court._id) });
+  }
+
+  const conditions = [
+    { $or: audiences },
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+  ];
+  if (court || venueId) {
+    // Only this venue's announcements and the ones for every venue
+    conditions.push({ $or: [{ venueId: lookingAtVenue }, { venueId: null }] });
+  }
+  return { $and: conditions };
+};
+
+// "scheduled", "live" or "expired"
+const announcementState = (announcement, now = new Date()) => {
+  if (announcement.publishAt && announcement.publishAt > now) {
+    return "scheduled";
+  }
+  if (announcement.expiresAt && announcement.expiresAt <= now) {
+    return "expired";
+  }
+  return "live";
+};
+
+// Mongo filter for ?state=
+const announcementStateFilter = (state, now = new Date()) => {
+  if (state === "scheduled") return { publishAt: { $gt: now } };
+  if (state === "expired") return { expiresAt: { $lte: now } };
+  return {
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    ],
+  };
+};
+
+// Build an announcement document from admin input that already passed
+// schemas.announcement, checking the rules that span fields. court is the
+// court a court announcement targets; its venue becomes the announcement's.
+// Returns { error } or { announcement }.
+const buildAnnouncement = (input, { court = null, now = new Date() } = {}) => {
+  const audience = input.audience ?? "all";
+  const publishAt = input.publishAt ? new Date(input.publishAt) : now;
+  const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+
+  if (audience === "venue" && !input.venueId) {
+    return { error: "A venue announcement needs a venueId" };
+  }
+  if (audience === "court" && !input.courtId) {
+    return { error: "A court announcement needs a courtId" };
+  }
+  if (expiresAt && expiresAt <= publishAt) {
+    return { error: "Expiry must be after the publish time" };
+  }
+
+  return {
+    announcement: {
+      venueId:
+        audience === "court" && court
+          ? court.venueId ?? null
+          : input.venueId ?? null,
+      courtId: audience === "court" ? input.courtId : null,
+      title: input.title,
+      message: input.message,
+      audience,
+      publishAt,
+      expiresAt,
+      pinned: input.pinned ?? false,
+      priority: input.priority ?? 0,
+    },
+  };
+};
+
+module.exports = {
+  ANNOUNCEMENT_AUDIENCES,
+  visibleAnnouncementsFilter,
+  announcementState,
+  announcementStateFilter,
+  buildAnnouncement,
+};
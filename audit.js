@@ -0,0 +1,46 @@
+// --------------------------
+// Audit Log
+// --------------------------
+//
+// Privileged changes are written to the audit collection and never edited
+// or removed. An entry records who did what to which document:
+//
+//   {
+//     action: "court.update",
+//     targetType: "court",
+//     targetId: "66b1...",
+//     actor: { email, uid, role },
+//     changes: { price: { from: 20, to: 25 } },
+//     ip: "203.0.113.7",
+//     at: Date,
+//   }
+
+// Secrets that stay out of the log even when the document changes
+const REDACTED_FIELDS = ["calendarTokenHash", "fcmTokens"];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields that differ between two versions of a document, as
+// { field: { from, to } }. A missing version (created or deleted) counts as
+// having no fields.
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (field === "_id" || REDACTED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!sameValue(from, to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  diffDocuments,
+};
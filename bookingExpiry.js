@@ -0,0 +1,60 @@
+// --------------------------
+// Booking Expiry
+// --------------------------
+//
+// A pending booking expires pendingTtlHours after it was made, an approved
+// one paymentTtlHours after approval if it still isn't paid. The numbers come
+// from config.js.
+
+const HOUR = 60 * 60 * 1000;
+
+// When a booking will expire, or null if it can't
+const bookingExpiresAt = (booking, policy) => {
+  if (booking.status === "pending") {
+    return new Date(
+      new Date(booking.createdAt).getTime() + policy.pendingTtlHours * HOUR
+    );
+  }
+  if (booking.status === "approved") {
+    // Bookings approved before approvedAt existed count from creation
+    const approvedAt = booking.approvedAt || booking.createdAt;
+    return new Date(
+      new Date(approvedAt).getTime() + policy.paymentTtlHours * HOUR
+    );
+  }
+  return null;
+};
+
+// Mongo filter for bookings that have expired by asOf
+const expiredBookingsFilter = (policy, asOf = new Date()) => {
+  const pendingCutoff = new Date(
+    asOf.getTime() - policy.pendingTtlHours * HOUR
+  );
+  const paymentCutoff = new Date(
+    asOf.getTime() - policy.paymentTtlHours * HOUR
+  );
+
+  return {
+    $or: [
+      { status: "pending", createdAt: { $lte: pendingCutoff } },
+      { status: "approved", approvedAt: { $lte: paymentCutoff } },
+      {
+        status: "approved",
+        approvedAt: { $exists: false },
+        createdAt: { $lte: paymentCutoff },
+      },
+    ],
+  };
+};
+
+// Why a booking expired, for its status history
+const expiryReason = (booking, policy) =>
+  booking.status === "pending"
+    ? `Not approved within ${policy.pendingTtlHours} hours`
+    : `Not paid within ${policy.paymentTtlHours} hours of approval`;
+
+module.exports = {
+  bookingExpiresAt,
+  expiredBookingsFilter,
+  expiryReason,
+};
@@ -0,0 +1,87 @@
+// --------------------------
+// Recurring Bookings
+// --------------------------
+//
+// A series books the same court and slots on one weekday every week, between
+// a start date and either an end date or a number of occurrences.
+
+const { startOfDate } = require("./slots");
+
+const MAX_SERIES_OCCURRENCES = 52;
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// 2 or "tuesday" -> 2, or null
+const parseWeekday = (weekday) => {
+  if (Number.isInteger(weekday) && weekday >= 0 && weekday <= 6) {
+    return weekday;
+  }
+  const index = WEEKDAYS.indexOf(String(weekday).toLowerCase());
+  return index === -1 ? null : index;
+};
+
+// Date -> "2025-08-14" in server time, the format bookings store
+const formatDate = (day) =>
+  [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, "0"),
+    String(day.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// Booking dates for a series. Returns { error } or { weekday, dates }.
+const seriesDates = ({ weekday, startDate, endDate, occurrences }) => {
+  const day = parseWeekday(weekday);
+  if (day === null) {
+    return { error: "Weekday must be 0-6 or a day name" };
+  }
+
+  const start = startOfDate(startDate);
+  if (!start) {
+    return { error: "Invalid start date" };
+  }
+  if (!endDate && !occurrences) {
+    return { error: "Either an end date or an occurrence count is required" };
+  }
+
+  const end = endDate ? startOfDate(endDate) : null;
+  if (endDate && (!end || end < start)) {
+    return { error: "End date must be on or after the start date" };
+  }
+  if (
+    occurrences != null &&
+    (!Number.isInteger(occurrences) || occurrences < 1)
+  ) {
+    return { error: "Occurrences must be a whole number above zero" };
+  }
+
+  const limit = Math.min(occurrences || Infinity, MAX_SERIES_OCCURRENCES);
+  const current = new Date(start);
+  current.setDate(current.getDate() + ((day - current.getDay() + 7) % 7));
+
+  const dates = [];
+  while (dates.length < limit && (!end || current <= end)) {
+    dates.push(formatDate(current));
+    current.setDate(current.getDate() + 7);
+  }
+
+  if (dates.length === 0) {
+    return { error: "No matching dates in that range" };
+  }
+  return { weekday: day, dates };
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  WEEKDAYS,
+  parseWeekday,
+  formatDate,
+  seriesDates,
+};
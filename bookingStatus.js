@@ -0,0 +1,48 @@
+// --------------------------
+// Booking Lifecycle
+// --------------------------
+//
+// pending -> approved -> paid -> completed, with rejected, cancelled and
+// expired as the other ways out. Each status lists the statuses it can move
+// to and who may make that move: "admin", the booking "owner" or the
+// "system" (webhooks and background jobs).
+
+const BOOKING_TRANSITIONS = {
+  pending: {
+    approved: ["admin"],
+    rejected: ["admin"],
+    cancelled: ["owner", "admin"],
+    expired: ["system"],
+  },
+  approved: {
+    paid: ["system"],
+    rejected: ["admin"],
+    cancelled: ["owner", "admin"],
+    expired: ["system"],
+  },
+  paid: {
+    completed: ["admin", "system"],
+    cancelled: ["owner", "admin", "system"],
+  },
+  completed: {},
+  rejected: {},
+  cancelled: {},
+  expired: {},
+};
+
+// Older bookings were marked "confirmed" once paid
+BOOKING_TRANSITIONS.confirmed = BOOKING_TRANSITIONS.paid;
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// Returns the first of the actor's roles allowed to make the move, or null
+const allowedTransitionRole = (from, to, roles) => {
+  const allowed = BOOKING_TRANSITIONS[from]?.[to] || [];
+  return roles.find((role) => allowed.includes(role)) || null;
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  BOOKING_STATUSES,
+  allowedTransitionRole,
+};
@@ -0,0 +1,21 @@
+// --------------------------
+// Cancellation Policy
+// --------------------------
+//
+// Full refund when cancelling more than fullRefundHours before the first
+// slot, partialRefundPercent inside that window, nothing once play started.
+// The numbers come from config.js.
+
+// Percent of the amount paid that goes back to the user
+const refundPercentFor = (policy, startsAt, now = new Date()) => {
+  if (!startsAt) return 0;
+
+  const hoursLeft = (startsAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+  if (hoursLeft <= 0) return 0;
+  if (hoursLeft > policy.fullRefundHours) return 100;
+  return policy.partialRefundPercent;
+};
+
+module.exports = {
+  refundPercentFor,
+};
@@ -0,0 +1,84 @@
+// --------------------------
+// Settings
+// --------------------------
+//
+// Tunables read from the environment, with the defaults we run with.
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value === undefined || value === "" || Number.isNaN(number)
+    ? fallback
+    : number;
+};
+
+// "smtp,console" -> ["smtp", "console"]
+const readList = (value, fallback) =>
+  value
+    ? value
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean)
+    : fallback;
+
+const env = process.env;
+
+module.exports = {
+  // See cancellationPolicy.js
+  cancellation: {
+    fullRefundHours: readNumber(env.CANCELLATION_FULL_REFUND_HOURS, 24),
+    partialRefundPercent: readNumber(
+      env.CANCELLATION_PARTIAL_REFUND_PERCENT,
+      50
+    ),
+  },
+
+  // How many days ahead anyone may book, no limit when unset. Membership
+  // plans can open bookings further ahead.
+  bookingWindowDays: readNumber(env.BOOKING_WINDOW_DAYS, null),
+
+  // See memberships.js
+  memberships: {
+    graceDays: readNumber(env.MEMBERSHIP_GRACE_DAYS, 7),
+    sweepIntervalMinutes: readNumber(env.MEMBERSHIP_SWEEP_INTERVAL_MINUTES, 60),
+  },
+
+  // See bookingExpiry.js
+  bookingExpiry: {
+    pendingTtlHours: readNumber(env.BOOKING_PENDING_TTL_HOURS, 48),
+    paymentTtlHours: readNumber(env.BOOKING_PAYMENT_TTL_HOURS, 24),
+    sweepIntervalMinutes: readNumber(env.BOOKING_SWEEP_INTERVAL_MINUTES, 5),
+  },
+
+  // Base URL for links we hand out, such as calendar feeds. Taken from the
+  // request when unset.
+  publicUrl: env.PUBLIC_URL || null,
+
+  // See ical.js
+  calendarFeed: {
+    daysBack: readNumber(env.CALENDAR_FEED_DAYS_BACK, 90),
+  },
+
+  // See notifications.js
+  notifications: {
+    transports: readList(env.NOTIFY_TRANSPORTS, ["console"]),
+    // Where the console transport writes, stdout when unset
+    file: env.NOTIFY_FILE || null,
+    smtp: {
+      host: env.SMTP_HOST,
+      port: readNumber(env.SMTP_PORT, 587),
+      user: env.SMTP_USER,
+      password: env.SMTP_PASSWORD,
+      from: env.SMTP_FROM || "Court Connect <no-reply@court-connect.app>",
+    },
+    reminderHours: readNumber(env.BOOKING_REMINDER_HOURS, 24),
+    reminderIntervalMinutes: readNumber(
+      env.BOOKING_REMINDER_INTERVAL_MINUTES,
+      15
+    ),
+    // How often scheduled announcements are checked for going live
+    announcementIntervalMinutes: readNumber(
+      env.ANNOUNCEMENT_INTERVAL_MINUTES,
+      1
+    ),
+  },
+};
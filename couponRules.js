@@ -0,0 +1,164 @@
+// --------------------------
+// Coupon Rules
+// --------------------------
+//
+// A coupon takes off either a percentage of the booking subtotal or a fixed
+// USD amount. Coupons created before these rules only have
+// { code, discount, expiry } and behave as fixed-amount coupons.
+
+const COUPON_TYPES = ["percentage", "fixed"];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// How much a coupon takes off a subtotal, never more than the subtotal
+const couponDiscount = (coupon, subtotal) => {
+  const value = Number(coupon.discount) || 0;
+  const amount =
+    coupon.type === "percentage" ? (subtotal * value) / 100 : value;
+  return roundCurrency(Math.min(Math.max(amount, 0), subtotal));
+};
+
+// Check a coupon against a purchase. Rules whose context is unknown (no
+// subtotal yet, no court picked) are skipped. Returns { error } or
+// { discount }, where discount is null without a subtotal.
+const checkCoupon = (
+  coupon,
+  {
+    subtotal,
+    courtType,
+    venueId,
+    userRole,
+    totalRedemptions = 0,
+    userRedemptions = 0,
+    now = new Date(),
+  } = {}
+) => {
+  if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+    return { error: "Coupon is not active yet" };
+  }
+  if (coupon.expiry && now > new Date(coupon.expiry)) {
+    return { error: "Coupon has expired" };
+  }
+  if (coupon.maxRedemptions && totalRedemptions >= coupon.maxRedemptions) {
+    return { error: "Coupon has been fully redeemed" };
+  }
+  if (coupon.perUserLimit && userRedemptions >= coupon.perUserLimit) {
+    return { error: "You have already used this coupon" };
+  }
+  if (coupon.membersOnly && userRole !== "member") {
+    return { error: "Coupon is for members only" };
+  }
+  if (
+    courtType &&
+    coupon.courtTypes?.length > 0 &&
+    !coupon.courtTypes.includes(courtType)
+  ) {
+    return { error: "Coupon does not apply to this court" };
+  }
+  if (
+    venueId !== undefined &&
+    coupon.venueId &&
+    String(coupon.venueId) !== String(venueId)
+  ) {
+    return { error: "Coupon is not valid at this venue" };
+  }
+  if (subtotal !== undefined && coupon.minSpend && subtotal < coupon.minSpend) {
+    return { error: `Coupon needs a minimum spend of $${coupon.minSpend}` };
+  }
+
+  return {
+    discount: subtotal === undefined ? null : couponDiscount(coupon, subtotal),
+  };
+};
+
+// Build a coupon document from admin input that already passed
+// schemas.coupon, checking the rules that span fields. Returns { error } or
+// { coupon }.
+const buildCoupon = (input) => {
+  const {
+    code,
+    type = "fixed",
+    discount,
+    expiry,
+    startsAt,
+    minSpend,
+    maxRedemptions,
+    perUserLimit,
+    courtTypes,
+    membersOnly,
+  } = input;
+
+  if (type === "percentage" && discount > 100) {
+    return { error: "Percentage discount can't be more than 100" };
+  }
+  if (startsAt && new Date(startsAt) > new Date(expiry)) {
+    return { error: "Start date must be before the expiry date" };
+  }
+
+  return {
+    coupon: {
+      venueId: input.venueId ?? null,
+      code: String(code).trim(),
+      type,
+      discount,
+      expiry,
+      startsAt: startsAt ?? null,
+      minSpend: minSpend ?? 0,
+      maxRedemptions: maxRedemptions ?? null,
+      perUserLimit: perUserLimit ?? null,
+      courtTypes: courtTypes ?? [],
+      membersOnly: membersOnly ?? false,
+    },
+  };
+};
+
+// Mongo filter for the coupons checkCoupon lets a user with userRole have
+// before a booking is picked: started, not expired, not used up and, for
+// non-members, not members-only. Uses the redemptions counter kept on each
+// coupon. Dates are stored as they were sent, so they're converted here; one
+// that doesn't parse is ignored, as checkCoupon ignores it.
+const availableCouponsFilter = (userRole, now = new Date()) => {
+  const asDate = (field) => ({
+    $convert: { input: field, to: "date", onError: null, onNull: null },
+  });
+  const conditions = [
+    {
+      $expr: {
+        $or: [
+          { $eq: [asDate("$startsAt"), null] },
+          { $lte: [asDate("$startsAt"), now] },
+        ],
+      },
+    },
+    {
+      $expr: {
+        $or: [
+          { $eq: [asDate("$expiry"), null] },
+          { $gte: [asDate("$expiry"), now] },
+        ],
+      },
+    },
+    {
+      $or: [
+        { maxRedemptions: { $in: [null, 0] } },
+        {
+          $expr: {
+            $lt: [{ $ifNull: ["$redemptions", 0] }, "$maxRedemptions"],
+          },
+        },
+      ],
+    },
+  ];
+  if (userRole !== "member") {
+    conditions.push({ membersOnly: { $ne: true } });
+  }
+  return { $and: conditions };
+};
+
+module.exports = {
+  COUPON_TYPES,
+  couponDiscount,
+  checkCoupon,
+  buildCoupon,
+  availableCouponsFilter,
+};
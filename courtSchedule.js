@@ -0,0 +1,122 @@
+// --------------------------
+// Court Schedules
+// --------------------------
+//
+// A court either lists fixed slotTimes, or has weekly openingHours and a
+// slotMinutes length that slots are cut from:
+//
+//   openingHours: { monday: { open: "08:00", close: "22:00" }, ... }
+//
+// Days left out of openingHours are closed. Closures block whole days between
+// startDate and endDate, or only startTime-endTime on each of those days.
+
+const { parseTime, parseSlot, startOfDate } = require("./slots");
+const { WEEKDAYS } = require("./bookingSeries");
+
+const DEFAULT_SLOT_MINUTES = 60;
+
+// 1230 -> "08:30 PM", the format slots are stored in
+const formatTime = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  const meridiem = hours < 12 ? "AM" : "PM";
+  return `${String(hours % 12 || 12).padStart(2, "0")}:${String(
+    minutes % 60
+  ).padStart(2, "0")} ${meridiem}`;
+};
+
+// Closing at "00:00" or "12:00 AM" means at the end of the day
+const parseClosingTime = (text) => {
+  const minutes = parseTime(text);
+  return minutes === 0 ? 24 * 60 : minutes;
+};
+
+// The hours a court keeps on a date, or null when it doesn't open that day
+const hoursOn = (court, date) => {
+  const day = startOfDate(date);
+  if (!day) return null;
+
+  const hours = court.openingHours?.[WEEKDAYS[day.getDay()]];
+  if (!hours) return null;
+
+  const open = parseTime(hours.open);
+  const close = parseClosingTime(hours.close);
+  return open === null || close === null || close <= open
+    ? null
+    : { open, close };
+};
+
+// Every slot a court offers on a date, closures aside
+const scheduledSlots = (court, date) => {
+  if (!court.openingHours) return court.slotTimes || [];
+
+  const hours = hoursOn(court, date);
+  if (!hours) return [];
+
+  const length = court.slotMinutes || DEFAULT_SLOT_MINUTES;
+  const slots = [];
+  for (let start = hours.open; start + length <= hours.close; start += length) {
+    slots.push(`${formatTime(start)} - ${formatTime(start + length)}`);
+  }
+  return slots;
+};
+
+// Whether a closure takes out a slot on a date
+const closureBlocks = (closure, date, slot) => {
+  if (date < closure.startDate || date > closure.endDate) {
+    return false;
+  }
+  if (!closure.startTime) return true;
+
+  const range = parseSlot(slot);
+  if (!range) return false;
+  return (
+    range.start < parseClosingTime(closure.endTime) &&
+    parseTime(closure.startTime) < range.end
+  );
+};
+
+// The slots of a date that fall inside any of the closures
+const closedSlots = (slots, closures, date) =>
+  slots.filter((slot) =>
+    closures.some((closure) => closureBlocks(closure, date, slot))
+  );
+
+// Cross-field rules for a court's schedule. Returns an error or null.
+const checkSchedule = (court) => {
+  if (!court.openingHours && !(court.slotTimes || []).length) {
+    return "A court needs either slotTimes or openingHours";
+  }
+  for (const [day, hours] of Object.entries(court.openingHours || {})) {
+    if (!hours) continue;
+    if (parseClosingTime(hours.close) <= parseTime(hours.open)) {
+      return `Opening hours on ${day} must close after they open`;
+    }
+  }
+  return null;
+};
+
+// Cross-field rules for a closure. Returns an error or null.
+const checkClosure = ({ startDate, endDate, startTime, endTime }) => {
+  if (endDate && endDate < startDate) {
+    return "End date must be on or after the start date";
+  }
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    return "Give both a start and an end time, or neither for whole days";
+  }
+  if (startTime) {
+    if (parseClosingTime(endTime) <= parseTime(startTime)) {
+      return "End time must be after the start time";
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  formatTime,
+  hoursOn,
+  scheduledSlots,
+  closureBlocks,
+  closedSlots,
+  checkSchedule,
+  checkClosure,
+};
@@ -0,0 +1,127 @@
+// --------------------------
+// CSV
+// --------------------------
+//
+// Reading and writing CSV for the admin exports and imports. Lists inside a
+// cell (slot times, court types) are separated by semicolons; an object cell
+// such as openingHours holds JSON.
+
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, with the line break
+const toCsvRow = (values) => `${values.map(escapeCell).join(",")}\r\n`;
+
+// Split CSV text into rows of { line, cells }, line being where the row
+// starts in the file. Quoted cells may hold commas, quotes ("") and line
+// breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = "";
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  // Blank lines carry nothing
+  return rows.filter(({ cells }) => cells.some((value) => value.trim() !== ""));
+};
+
+// Turn a CSV cell into what a validation rule expects. Anything that doesn't
+// convert is passed on as is for validation to report.
+const coerceCell = (rule, text) => {
+  const value = text.trim();
+  if (!rule) return value;
+
+  switch (rule.type) {
+    case "number":
+      return value !== "" && !Number.isNaN(Number(value))
+        ? Number(value)
+        : value;
+    case "boolean":
+      if (/^(true|yes|1)$/i.test(value)) return true;
+      if (/^(false|no|0)$/i.test(value)) return false;
+      return value;
+    case "array":
+      return value
+        .split(";")
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map((item) => coerceCell(rule.items, item));
+    case "object":
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    default:
+      return value;
+  }
+};
+
+// Read CSV text whose first row names the fields into one object per row,
+// typed after a validation schema. Empty cells are left out. Returns
+// { error } or { rows: [{ line, data }] }.
+const readCsvRecords = (text, schema) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { error: "The file is empty" };
+  }
+  const fields = header.cells.map((name) => name.trim());
+
+  return {
+    rows: lines.map(({ line, cells }) => {
+      const data = {};
+      fields.forEach((field, column) => {
+        const cell = cells[column] ?? "";
+        if (field && cell.trim() !== "") {
+          data[field] = coerceCell(schema[field], cell);
+        }
+      });
+      return { line, data };
+    }),
+  };
+};
+
+module.exports = {
+  toCsvRow,
+  parseCsv,
+  readCsvRecords,
+};
@@ -0,0 +1,41 @@
+// --------------------------
+// Event Bus
+// --------------------------
+//
+// Routes publish what happened and move on; subscribers such as
+// notifications react in the background. A failing subscriber is logged and
+// never fails the request that published the event.
+
+const { EventEmitter } = require("events");
+
+// The names double as keys of users' notificationPreferences.events
+const EVENTS = {
+  BOOKING_CREATED: "booking-created",
+  BOOKING_STATUS_CHANGED: "status-changed",
+  PAYMENT_RECORDED: "payment-recorded",
+  ANNOUNCEMENT_PUBLISHED: "announcement-published",
+  BOOKING_REMINDER: "booking-reminder",
+};
+
+const bus = new EventEmitter();
+
+const publish = (event, payload) => {
+  bus.emit(event, payload);
+};
+
+// handler may be async
+const subscribe = (event, handler) => {
+  bus.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => {
+        console.error(`Subscriber to ${event} failed:`, error);
+      });
+  });
+};
+
+module.exports = {
+  EVENTS,
+  publish,
+  subscribe,
+};
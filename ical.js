@@ -0,0 +1,111 @@
+// --------------------------
+// iCalendar Feeds
+// --------------------------
+//
+// Bookings as RFC 5545 calendars that Google and Apple Calendar can
+// subscribe to. Back-to-back slots of a booking become one event. An
+// event's UID comes from the booking and its start time, so calendar apps
+// update events in place instead of duplicating them.
+
+const { parseSlot, dateAtMinutes } = require("./slots");
+
+const PRODUCT_ID = "-//Court Connect//Bookings//EN";
+const UID_DOMAIN = "court-connect";
+
+// 2025-08-14T18:00:00.000Z -> "20250814T180000Z"
+const formatDateTime = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const escapeText = (text) =>
+  String(text ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = chunks.length === 0 ? 75 : 74;
+    // Don't split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut -= 1;
+    chunks.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  chunks.push(rest.toString());
+  return chunks.join("\r\n ");
+};
+
+// A booking's slots merged into { start, end } runs, in minutes
+const slotRuns = (slots) => {
+  const ranges = (slots || [])
+    .map(parseSlot)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const runs = [];
+  for (const range of ranges) {
+    const last = runs[runs.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      runs.push({ ...range });
+    }
+  }
+  return runs;
+};
+
+// VEVENT lines for a booking. describe(booking) gives the description.
+const bookingEvents = (booking, { summary, describe = () => "" }) => {
+  const stamp = formatDateTime(
+    new Date(booking.updatedAt || booking.createdAt || Date.now())
+  );
+
+  return slotRuns(booking.slots).flatMap((run) => {
+    const start = dateAtMinutes(booking.date, run.start);
+    const end = dateAtMinutes(booking.date, run.end);
+    if (!start || !end) return [];
+
+    return [
+      "BEGIN:VEVENT",
+      `UID:booking-${booking._id}-${run.start}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(end)}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(describe(booking))}`,
+      `LOCATION:${escapeText(booking.courtName)}`,
+      `STATUS:${booking.status === "approved" ? "TENTATIVE" : "CONFIRMED"}`,
+      "END:VEVENT",
+    ];
+  });
+};
+
+// A whole calendar from event lines, ready to send as text/calendar
+const buildCalendar = (name, eventLines) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...eventLines,
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  formatDateTime,
+  escapeText,
+  foldLine,
+  slotRuns,
+  bookingEvents,
+  buildCalendar,
+};
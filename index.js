@@ -3,9 +3,78 @@ const cors = require("cors");
 const jwt = require("jsonwebtoken");
 const cookieParser = require("cookie-parser");
 require("dotenv").config();
+const crypto = require("crypto");
+const { once } = require("events");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 
 const admin = require("./firebase"); // Firebase Admin
+const { allowedTransitionRole } = require("./bookingStatus");
+const { firstSlotStart } = require("./slots");
+const {
+  couponDiscount,
+  checkCoupon,
+  buildCoupon,
+  availableCouponsFilter,
+} = require("./couponRules");
+const { refundPercentFor } = require("./cancellationPolicy");
+const { priceSlots, buildPricingRule } = require("./pricingRules");
+const {
+  bookingExpiresAt,
+  expiredBookingsFilter,
+  expiryReason,
+} = require("./bookingExpiry");
+const { seriesDates, formatDate } = require("./bookingSeries");
+const {
+  scheduledSlots,
+  closureBlocks,
+  closedSlots,
+  checkSchedule,
+  checkClosure,
+} = require("./courtSchedule");
+const { parseListQuery, listPage, listCursor } = require("./listQuery");
+const { toCsvRow, readCsvRecords } = require("./csv");
+const { bookingEvents, buildCalendar } = require("./ical");
+const { EVENTS, publish, subscribe } = require("./eventBus");
+const { diffDocuments } = require("./audit");
+const {
+  membershipFromSubscription,
+  membershipActive,
+  inGracePeriod,
+  membershipRoleUpdate,
+  membershipPricingRule,
+  bookingWindowDays,
+  buildMembershipPlan,
+} = require("./memberships");
+const {
+  visibleAnnouncementsFilter,
+  announcementState,
+  announcementStateFilter,
+  buildAnnouncement,
+} = require("./announcements");
+const { CHANNELS, createTransports, deliver } = require("./notifications");
+const {
+  MAX_BULK_RECEIPTS,
+  receiptDetails,
+  writeReceiptsPdf,
+} = require("./receipts");
+const {
+  parseAnalyticsQuery,
+  revenuePipeline,
+  topCustomersPipeline,
+  couponImpactPipeline,
+  bookingOutcomesPipeline,
+  bookingOutcomes,
+  bookedSlotsPipeline,
+  occupancyReport,
+} = require("./analytics");
+const {
+  validate,
+  validateBody,
+  validateIdParams,
+  sendValidationError,
+} = require("./validation");
+const schemas = require("./schemas");
+const config = require("./config");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -23,7 +92,16 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+app.use(
+  express.json({
+    // Stripe signs the raw request body, so keep it for the webhook
+    verify: (req, res, buf) => {
+      if (req.originalUrl === "/stripe/webhook") {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(cookieParser());
 
 // --------------------------
@@ -53,6 +131,29 @@ const verifyFirebaseToken = async (req, res, next) => {
   }
 };
 
+// For routes open to everyone that show signed-in users more. The caller's
+// user document, if any, is left on req.requester.
+const identifyRequester = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1] || req.cookies.token;
+  if (!token) return next();
+
+  try {
+    req.decoded = await admin.auth().verifyIdToken(token);
+  } catch (err) {
+    return res.status(403).send({ error: "Invalid token" });
+  }
+
+  try {
+    req.requester = await usersCollection.findOne({
+      email: req.decoded.email,
+    });
+    next();
+  } catch (error) {
+    console.error("Error in identifyRequester:", error);
+    res.status(500).send({ error: "Internal server error" });
+  }
+};
+
 // --------------------------
 // Admin Verify
 // --------------------------
@@ -76,825 +177,5933 @@ const verifyAdmin = async (req, res, next) => {
 };
 
 // --------------------------
-// Collection
-// --------------------------
-
-let courtsCollection;
-let bookingsCollection;
-let usersCollection;
-let couponsCollection;
-let announcementsCollection;
-let paymentsCollection;
-
-// --------------------------
-// MongoDB Connection
+// Access Policies
 // --------------------------
-async function connectDB() {
-  try {
-    await client.connect();
-    console.log("✅ Connected to MongoDB");
-    const db = client.db("SportDB");
-    courtsCollection = db.collection("courts");
-    bookingsCollection = db.collection("bookings");
-    usersCollection = db.collection("users");
-    couponsCollection = db.collection("coupons");
-    announcementsCollection = db.collection("announcements");
-    paymentsCollection = db.collection("payments");
-  } catch (err) {
-    console.error("MongoDB connection failed:", err);
-  }
-
-  // --------------------------
-  // API Routes
-  // --------------------------
-  app.get("/", (req, res) => {
-    res.send("Server is running with MongoDB connected");
-  });
+// authorize(...rules) runs after verifyFirebaseToken and before
+// validateBody, so callers without access learn nothing about the body a
+// route expects. It lets the request through when any rule matches:
+//   "admin"      the requester has role admin (likewise "member" and
+//                "venue-manager")
+//   owner(fn)    fn(req) returns, or resolves to, the email that owns the
+//                target; undefined means there is no target and the route
+//                answers with its own 400/404
+//   venue(fn)    the requester is a venue manager of the venue fn(req)
+//                returns or resolves to; undefined as for owner
+// The requester's user document is left on req.requester.
+const owner = (getOwnerEmail) => ({ getOwnerEmail });
+const venue = (getVenueId) => ({ getVenueId });
 
-  // --------------------------
-  // COURTS CRUD
-  // --------------------------
+// Venue managers look after the venues listed in their venueIds
+const managesVenue = (user, venueId) =>
+  user?.role === "venue-manager" &&
+  venueId != null &&
+  (user.venueIds || []).includes(String(venueId));
 
-  // GET all courts
-  app.get("/courts", async (req, res) => {
-    try {
-      const courts = await courtsCollection.find().toArray();
-      res.send(courts);
-    } catch (error) {
-      res.status(500).send({ error: "Failed to fetch courts" });
-    }
-  });
+const canManageVenue = (user, venueId) =>
+  user?.role === "admin" || managesVenue(user, venueId);
 
-  // POST new court
-  app.post("/courts", verifyFirebaseToken, verifyAdmin, async (req, res) => {
+const authorize =
+  (...rules) =>
+  async (req, res, next) => {
     try {
-      const newCourt = req.body;
-      if (
-        !newCourt.type ||
-        !newCourt.image ||
-        !newCourt.price ||
-        !newCourt.slotTimes
-      ) {
-        return res.status(400).send({ error: "All fields are required" });
-      }
-
-      const result = await courtsCollection.insertOne(newCourt);
-      res.send({ success: true, insertedId: result.insertedId });
-    } catch (error) {
-      res.status(500).send({ error: "Failed to add court" });
-    }
-  });
+      const email = req.decoded?.email;
+      if (!email) {
+        return res.status(401).send({ error: "Unauthorized: No email found" });
+      }
 
-  // DELETE court by ID
-  app.delete(
-    "/courts/:id",
-    verifyFirebaseToken,
-    verifyAdmin,
-    async (req, res) => {
-      try {
-        const { id } = req.params;
-        const result = await courtsCollection.deleteOne({
-          _id: new ObjectId(id),
-        });
+      req.requester = await usersCollection.findOne({ email });
+      const role = req.requester?.role;
 
-        if (result.deletedCount === 0) {
-          return res.status(404).send({ error: "Court not found" });
+      for (const rule of rules) {
+        if (typeof rule === "string") {
+          if (rule === role) return next();
+          continue;
+        }
+        if (rule.getOwnerEmail) {
+          const ownerEmail = await rule.getOwnerEmail(req);
+          if (ownerEmail === undefined || ownerEmail === email) return next();
+        }
+        if (rule.getVenueId && role === "venue-manager") {
+          const venueId = await rule.getVenueId(req);
+          if (venueId === undefined || managesVenue(req.requester, venueId)) {
+            return next();
+          }
         }
-        res.send({ success: true });
-      } catch (error) {
-        res.status(500).send({ error: "Failed to delete court" });
       }
-    }
-  );
-
-  // UPDATE court by ID
-  app.put("/courts/:id", verifyFirebaseToken, verifyAdmin, async (req, res) => {
-    try {
-      const { id } = req.params;
-      const updatedCourt = req.body;
-      delete updatedCourt._id;
-
-      const result = await courtsCollection.updateOne(
-        { _id: new ObjectId(id) },
-        { $set: updatedCourt }
-      );
 
-      if (result.matchedCount === 0) {
-        return res.status(404).send({ error: "Court not found" });
-      }
-      res.send({ success: true });
+      res.status(403).send({ error: "Forbidden: Access denied" });
     } catch (error) {
-      res.status(500).send({ error: "Failed to update court" });
+      console.error("Error in authorize:", error);
+      res.status(500).send({ error: "Internal server error" });
     }
+  };
+
+// Owner lookups for the rules above
+const emailParam = owner((req) => req.params.email);
+const emailQuery = owner((req) => req.query.email);
+const bookingOwner = (getBookingId) =>
+  owner(async (req) => {
+    const bookingId = getBookingId(req);
+    if (!bookingId || !ObjectId.isValid(bookingId)) return undefined;
+    const booking = await bookingsCollection.findOne(
+      { _id: new ObjectId(bookingId) },
+      { projection: { userEmail: 1 } }
+    );
+    return booking ? booking.userEmail : undefined;
+  });
+const bookingParam = bookingOwner((req) => req.params.id);
+const bookingBody = bookingOwner((req) => req.body?.bookingId);
+const seriesOwner = (getSeriesId) =>
+  owner(async (req) => {
+    const seriesId = getSeriesId(req);
+    if (!seriesId || !ObjectId.isValid(seriesId)) return undefined;
+    const series = await bookingSeriesCollection.findOne(
+      { _id: new ObjectId(seriesId) },
+      { projection: { userEmail: 1 } }
+    );
+    return series ? series.userEmail : undefined;
   });
+const seriesParam = seriesOwner((req) => req.params.id);
+const seriesBody = seriesOwner((req) => req.body?.seriesId);
+// A payment is confirmed for a whole series or for one booking
+const paymentBody = owner((req) =>
+  req.body?.seriesId
+    ? seriesBody.getOwnerEmail(req)
+    : bookingBody.getOwnerEmail(req)
+);
+const paymentParam = owner(async (req) => {
+  if (!ObjectId.isValid(req.params.id)) return undefined;
+  const payment = await paymentsCollection.findOne(
+    { _id: new ObjectId(req.params.id) },
+    { projection: { email: 1 } }
+  );
+  return payment ? payment.email : undefined;
+});
 
-  // --------------------------
-  // BOOKING SECTION
-  // --------------------------
+// Venue lookups. A document without a venueId belongs to no venue (null).
+const findVenueId = async (collection, id) => {
+  if (!id || !ObjectId.isValid(id)) return undefined;
+  const doc = await collection.findOne(
+    { _id: new ObjectId(id) },
+    { projection: { venueId: 1, courtId: 1 } }
+  );
+  if (!doc) return undefined;
 
-  // Create a new booking (User)
-  app.post("/bookings", async (req, res) => {
-    try {
-      const { courtId, courtName, userEmail, date, slots, totalPrice, status } =
-        req.body;
-
-      if (
-        !userEmail ||
-        !courtId ||
-        !date ||
-        !status ||
-        !courtName ||
-        !Array.isArray(slots) ||
-        slots.length === 0 ||
-        !totalPrice
-      ) {
-        return res
-          .status(400)
-          .send({ error: "All booking fields are required" });
-      }
+  // Bookings and series belong to the venue of their court
+  if (
+    collection === bookingsCollection ||
+    collection === bookingSeriesCollection
+  ) {
+    return (await findVenueId(courtsCollection, doc.courtId)) ?? null;
+  }
+  return doc.venueId ?? null;
+};
+// Authorization runs before validation, so the body may be anything
+const venueBody = venue((req) => req.body?.venueId ?? null);
+const courtVenue = venue((req) => findVenueId(courtsCollection, req.params.id));
+const bookingVenue = venue((req) =>
+  findVenueId(bookingsCollection, req.params.id)
+);
+const seriesVenue = venue((req) =>
+  findVenueId(bookingSeriesCollection, req.params.id)
+);
+const couponVenue = venue((req) =>
+  findVenueId(couponsCollection, req.params.id)
+);
+const announcementVenue = venue((req) =>
+  findVenueId(announcementsCollection, req.params.id)
+);
+// Where a new announcement goes: its court's venue, else the one sent
+const announcementTarget = venue((req) =>
+  req.body?.audience === "court" && req.body.courtId
+    ? findVenueId(courtsCollection, req.body.courtId)
+    : req.body?.venueId ?? null
+);
 
-      // Fetch court info for display purposes
-      const court = await courtsCollection.findOne({
-        _id: new ObjectId(courtId),
-      });
-      if (!court) {
-        return res.status(404).send({ error: "Court not found" });
-      }
+// Court IDs at a venue manager's venues, or null for anyone who sees all
+const managedCourtIds = async (user) => {
+  if (user?.role !== "venue-manager") return null;
+  const courts = await courtsCollection
+    .find({ venueId: { $in: user.venueIds || [] } })
+    .project({ _id: 1 })
+    .toArray();
+  return courts.map((court) => String(court._id));
+};
 
-      const booking = {
-        userEmail,
-        courtId,
-        courtName,
-        slots,
-        totalPrice,
-        status: "pending",
-        createdAt: new Date(),
-        date,
-      };
+// Narrows a bookings filter to the courts a venue manager looks after
+const bookingScope = async (user) => {
+  const courtIds = await managedCourtIds(user);
+  return courtIds ? { courtId: { $in: courtIds } } : {};
+};
 
-      const result = await bookingsCollection.insertOne(booking);
-      res.send({ success: true, insertedId: result.insertedId });
-    } catch (error) {
-      console.error("Error creating booking:", error);
-      res.status(500).send({ error: "Failed to create booking" });
-    }
+// Check a venueId sent to put something at a venue: it must exist and be one
+// the requester may manage. Returns { status, error } or null.
+const checkVenueChange = async (requester, venueId) => {
+  if (venueId === undefined) return null;
+  if (!canManageVenue(requester, venueId)) {
+    return { status: 403, error: "Forbidden: Not your venue" };
+  }
+  const found = await venuesCollection.findOne({
+    _id: new ObjectId(venueId),
   });
+  return found ? null : { status: 400, error: "Venue not found" };
+};
 
-  // Get all bookings (Admin)
-  app.get("/bookings", verifyFirebaseToken, verifyAdmin, async (req, res) => {
-    try {
-      const { status, search = "" } = req.query;
-
-      // Build query object dynamically
-      const query = {};
+// --------------------------
+// Audit Log
+// --------------------------
+// audit(action, collection, getTargetId) goes last before the handler of a
+// route that changes things. It loads the target document before the route
+// runs and again once it has answered, and logs the difference when the
+// route succeeded (see audit.js). getTargetId defaults to req.params.id;
+// routes that create a document give its ID in res.locals.auditTargetId,
+// and bulk routes can describe what they did in res.locals.auditDetails.
+const audit =
+  (action, collection, getTargetId = (req) => req.params.id) =>
+  async (req, res, next) => {
+    const load = (id) =>
+      id && ObjectId.isValid(id)
+        ? collection.findOne({ _id: new ObjectId(id) })
+        : null;
 
-      if (status) {
-        query.status = status;
-      }
+    try {
+      const targetId = getTargetId(req);
+      const before = await load(targetId);
 
-      if (search) {
-        query.courtName = { $regex: search, $options: "i" }; // case-insensitive search
-      }
+      res.once("finish", async () => {
+        if (res.statusCode >= 400) return;
+        try {
+          const id = targetId ?? res.locals.auditTargetId ?? null;
+          const changes = diffDocuments(before, await load(id));
+          const details = res.locals.auditDetails ?? null;
+          if (Object.keys(changes).length === 0 && !details) return;
 
-      const result = await bookingsCollection.find(query).toArray();
-      res.send(result);
+          // verifyAdmin doesn't load the requester
+          const requester =
+            req.requester ??
+            (await usersCollection.findOne({ email: req.decoded?.email }));
+          await auditCollection.insertOne({
+            action,
+            targetType: action.split(".")[0],
+            targetId: id ? String(id) : null,
+            actor: {
+              email: req.decoded?.email ?? null,
+              uid: req.decoded?.uid ?? null,
+              role: requester?.role ?? null,
+            },
+            changes,
+            details,
+            ip: req.ip,
+            at: new Date(),
+          });
+        } catch (error) {
+          console.error(`Error writing audit entry for ${action}:`, error);
+        }
+      });
+      next();
     } catch (error) {
-      res.status(500).send({ error: "Failed to fetch bookings" });
+      console.error("Error in audit:", error);
+      res.status(500).send({ error: "Internal server error" });
     }
-  });
+  };
 
-  // Approve or reject a booking (Admin)
-  app.patch("/bookings/:id", verifyFirebaseToken, async (req, res) => {
-    try {
-      const bookingId = req.params.id;
-      if (!ObjectId.isValid(bookingId)) {
-        return res.status(400).send({ message: "Invalid booking ID" });
-      }
+// --------------------------
+// Idempotency
+// --------------------------
+// idempotent goes right after verifyFirebaseToken on routes that take
+// money. A request sent again with the same Idempotency-Key header gets the
+// first response back instead of running twice. Keys belong to one user and
+// route, are kept for IDEMPOTENCY_KEY_HOURS, and are freed again when the
+// request fails with a 5xx so it can be retried.
+const IDEMPOTENCY_KEY_HOURS = 24;
 
-      const { status } = req.body;
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+  if (key.length > 255) {
+    return res.status(400).send({ error: "Idempotency-Key is too long" });
+  }
 
-      if (!["approved", "rejected", "confirmed", "paid"].includes(status)) {
-        return res.status(400).send({ message: "Invalid status" });
-      }
+  const scope = {
+    email: req.decoded.email,
+    route: `${req.method} ${req.path}`,
+    key,
+  };
+  // The same key with a different body is a mistake, not a retry
+  const fingerprint = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(req.body ?? null))
+    .digest("hex");
 
-      const booking = await bookingsCollection.findOne({
-        _id: new ObjectId(bookingId),
+  try {
+    try {
+      await idempotencyKeysCollection.insertOne({
+        ...scope,
+        fingerprint,
+        response: null,
+        createdAt: new Date(),
       });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
 
-      if (!booking) {
-        return res.status(404).send({ message: "Booking not found" });
+      const saved = await idempotencyKeysCollection.findOne(scope);
+      if (saved && saved.fingerprint !== fingerprint) {
+        return res.status(422).send({
+          error: "Idempotency-Key was already used for a different request",
+        });
       }
-
-      await bookingsCollection.updateOne(
-        { _id: new ObjectId(bookingId) },
-        { $set: { status } }
-      );
-
-      // Upgrade user to member when booking is approved
-      if (status === "approved") {
-        const user = await usersCollection.findOne({
-          email: booking.userEmail,
+      if (!saved?.response) {
+        return res.status(409).send({
+          error: "A request with this Idempotency-Key is still in progress",
         });
-        if (user) {
-          await usersCollection.updateOne(
-            { email: booking.userEmail },
-            { $set: { role: "member", memberSince: new Date() } }
-          );
-        }
       }
-
-      res.send({ message: `Booking ${status} successfully.` });
-    } catch (error) {
-      console.error("Error updating booking:", error);
-      res.status(500).send({ message: "Failed to update booking" });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(saved.response.status).send(saved.response.body);
     }
-  });
 
-  // Get approved bookings for a user
-  app.get(
-    "/bookings/approved/:email",
-    verifyFirebaseToken,
-    async (req, res) => {
-      try {
-        const userEmail = req.params.email;
-        const approvedBookings = await bookingsCollection
-          .find({ userEmail, status: "approved" })
-          .toArray();
+    // res.send(object) calls res.send again with the JSON, keep the first
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      if (!("idempotentBody" in res.locals)) {
+        res.locals.idempotentBody = body;
+      }
+      return send(body);
+    };
 
-        res.send(approvedBookings);
+    res.once("finish", async () => {
+      try {
+        if (res.statusCode >= 500) {
+          await idempotencyKeysCollection.deleteOne(scope);
+        } else {
+          await idempotencyKeysCollection.updateOne(scope, {
+            $set: {
+              response: {
+                status: res.statusCode,
+                body: res.locals.idempotentBody ?? null,
+              },
+            },
+          });
+        }
       } catch (error) {
-        console.error("Error fetching approved bookings:", error);
-        res.status(500).send({ error: "Failed to fetch approved bookings" });
+        console.error("Error saving idempotent response:", error);
       }
-    }
-  );
-
-  // get paid bookings
-  app.get("/bookings/paid/:email", verifyFirebaseToken, async (req, res) => {
-    try {
-      const userEmail = req.params.email;
-      const paidBookings = await bookingsCollection
-        .find({ userEmail, status: "paid" })
-        .toArray();
+    });
+    next();
+  } catch (error) {
+    console.error("Error in idempotent:", error);
+    res.status(500).send({ error: "Internal server error" });
+  }
+};
 
-      res.send(paidBookings);
-    } catch (error) {
-      console.error("Error fetching paid bookings:", error);
-      res.status(500).send({ error: "Failed to fetch paid bookings" });
-    }
-  });
+// --------------------------
+// Collection
+// --------------------------
 
-  // Get pending bookings for a user
-  app.get("/bookings/pending/:email", verifyFirebaseToken, async (req, res) => {
-    try {
-      const userEmail = req.params.email;
-      const bookings = await bookingsCollection
-        .find({ userEmail, status: "pending" })
-        .toArray();
-      res.send(bookings);
-    } catch (error) {
-      console.error("Error fetching pending bookings:", error);
-      res.status(500).send({ error: "Failed to fetch pending bookings" });
-    }
-  });
+let courtsCollection;
+let bookingsCollection;
+let usersCollection;
+let couponsCollection;
+let announcementsCollection;
+let announcementReadsCollection;
+let paymentsCollection;
+let slotReservationsCollection;
+let couponRedemptionsCollection;
+let bookingSeriesCollection;
+let waitlistCollection;
+let courtClosuresCollection;
+let pricingRulesCollection;
+let venuesCollection;
+let countersCollection;
+let membershipPlansCollection;
+let auditCollection;
+let idempotencyKeysCollection;
 
-  app.get("/bookings/:id", verifyFirebaseToken, async (req, res) => {
-    try {
-      const bookingId = req.params.id;
+// --------------------------
+// List Endpoints
+// --------------------------
 
-      if (!ObjectId.isValid(bookingId)) {
-        return res.status(400).send({ error: "Invalid booking ID" });
-      }
+// What each list endpoint can be sorted and filtered by, see listQuery.js
+const LIST_SPECS = {
+  venues: {
+    sortFields: ["name", "city", "createdAt"],
+    defaultSort: "name",
+    filters: {
+      city: { type: "exact" },
+      search: { type: "search", fields: ["name", "city", "address"] },
+    },
+  },
+  courts: {
+    sortFields: ["name", "type", "price"],
+    defaultSort: "_id",
+    filters: {
+      venueId: { type: "exact" },
+      type: { type: "exact" },
+      search: { type: "search", fields: ["name", "type"] },
+      price: { type: "numberRange" },
+    },
+  },
+  bookings: {
+    sortFields: ["createdAt", "date", "totalPrice", "status", "courtName"],
+    defaultSort: "-createdAt",
+    filters: {
+      status: { type: "exact" },
+      courtId: { type: "exact" },
+      userEmail: { type: "exact" },
+      search: { type: "search", fields: ["courtName", "userEmail"] },
+      date: { type: "dayRange" },
+      createdAt: { type: "dateRange" },
+    },
+  },
+  users: {
+    sortFields: ["name", "email", "role", "memberSince"],
+    defaultSort: "_id",
+    filters: {
+      role: { type: "exact" },
+      search: { type: "search", fields: ["name", "email"] },
+      memberSince: { type: "dateRange" },
+    },
+  },
+  payments: {
+    sortFields: ["createdAt", "amount"],
+    defaultSort: "-createdAt",
+    filters: {
+      status: { type: "exact" },
+      bookingId: { type: "exact" },
+      createdAt: { type: "dateRange" },
+      amount: { type: "numberRange" },
+    },
+  },
+  coupons: {
+    sortFields: ["code", "discount", "expiry", "createdAt"],
+    defaultSort: "_id",
+    filters: {
+      venueId: { type: "exact" },
+      type: { type: "exact" },
+      search: { type: "search", fields: ["code"] },
+    },
+  },
+  pricingRules: {
+    sortFields: ["name", "kind", "multiplier", "createdAt"],
+    defaultSort: "name",
+    filters: {
+      kind: { type: "exact" },
+      courtId: { type: "exact" },
+      courtType: { type: "exact" },
+      search: { type: "search", fields: ["name"] },
+    },
+  },
+  announcements: {
+    sortFields: ["createdAt", "publishAt", "title", "priority"],
+    defaultSort: "-_id",
+    filters: {
+      audience: { type: "exact" },
+      venueId: { type: "exact" },
+      courtId: { type: "exact" },
+      search: { type: "search", fields: ["title", "message"] },
+      createdAt: { type: "dateRange" },
+      publishAt: { type: "dateRange" },
+    },
+  },
+  audit: {
+    sortFields: ["at"],
+    defaultSort: "-at",
+    filters: {
+      action: { type: "exact" },
+      targetType: { type: "exact" },
+      targetId: { type: "exact" },
+      actor: { type: "exact", field: "actor.email" },
+      at: { type: "dateRange" },
+    },
+  },
+};
 
-      const booking = await bookingsCollection.findOne({
-        _id: new ObjectId(bookingId),
-      });
+// --------------------------
+// Slot Reservations
+// --------------------------
 
-      if (!booking) {
-        return res.status(404).send({ error: "Booking not found" });
-      }
+// Bookings in these statuses hold their court slots
+const ACTIVE_BOOKING_STATUSES = ["pending", "approved", "confirmed", "paid"];
 
-      res.send(booking);
-    } catch (error) {
-      console.error("Error fetching booking by ID:", error);
-      res.status(500).send({ error: "Failed to fetch booking" });
-    }
-  });
+// Bookings in these statuses have been paid for
+const PAID_BOOKING_STATUSES = ["paid", "confirmed", "completed"];
 
-  // Delete a booking
-  app.delete("/bookings/:id", verifyFirebaseToken, async (req, res) => {
-    try {
-      const bookingId = req.params.id;
+// Claim every slot for a booking, or none of them. The unique index on
+// (courtId, date, slot) makes a concurrent claim on the same slot fail.
+const reserveSlots = async ({ bookingId, courtId, date, slots }) => {
+  const reservations = slots.map((slot) => ({
+    courtId,
+    date,
+    slot,
+    bookingId,
+    createdAt: new Date(),
+  }));
 
-      if (!ObjectId.isValid(bookingId)) {
-        return res.status(400).send({ error: "Invalid booking ID" });
-      }
+  try {
+    await slotReservationsCollection.insertMany(reservations, {
+      ordered: false,
+    });
+    return { reserved: true, taken: [] };
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (
+      writeErrors.length === 0 ||
+      writeErrors.some((writeError) => writeError.code !== 11000)
+    ) {
+      throw error;
+    }
 
-      const result = await bookingsCollection.deleteOne({
-        _id: new ObjectId(bookingId),
-      });
+    // Give back the slots we did get before reporting the conflict
+    await slotReservationsCollection.deleteMany({ bookingId });
+    const taken = writeErrors.map(
+      (writeError) => reservations[writeError.index].slot
+    );
+    return { reserved: false, taken };
+  }
+};
 
-      if (result.deletedCount === 0) {
-        return res.status(404).send({ error: "Booking not found" });
-      }
+// Free every slot held by a booking and offer them to the waitlist
+const releaseSlots = async (bookingId) => {
+  const filter = { bookingId: new ObjectId(bookingId) };
+  const released = await slotReservationsCollection.find(filter).toArray();
+  await slotReservationsCollection.deleteMany(filter);
 
-      res.send({ success: true });
+  for (const { courtId, date, slot } of released) {
+    try {
+      await promoteFromWaitlist(courtId, date, slot);
     } catch (error) {
-      console.error("Error deleting booking:", error);
-      res.status(500).send({ error: "Failed to delete booking" });
+      // The slot is free either way, a failed promotion must not undo that
+      console.error(`Error promoting waitlist for ${courtId} ${date}:`, error);
     }
-  });
-
-  // --------------------------
-  // USER Role Related
-  // --------------------------
+  }
+};
 
-  app.get("/users/:email/role", verifyFirebaseToken, async (req, res) => {
-    try {
-      const email = req.params.email;
+// Create reservations for active bookings made before reservations existed
+const syncSlotReservations = async () => {
+  const bookings = await bookingsCollection
+    .find({ status: { $in: ACTIVE_BOOKING_STATUSES } })
+    .project({ courtId: 1, date: 1, slots: 1 })
+    .toArray();
 
-      if (!email) {
-        return res.status(400).send({ message: "Email is required" });
-      }
+  const reservations = bookings.flatMap((booking) =>
+    (booking.slots || []).map((slot) => ({
+      courtId: booking.courtId,
+      date: booking.date,
+      slot,
+      bookingId: booking._id,
+      createdAt: new Date(),
+    }))
+  );
+  if (reservations.length === 0) return;
 
-      const user = await usersCollection.findOne({ email });
+  try {
+    await slotReservationsCollection.insertMany(reservations, {
+      ordered: false,
+    });
+  } catch (error) {
+    // Already reserved slots are expected here, anything else is not
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (
+      writeErrors.length === 0 ||
+      writeErrors.some((writeError) => writeError.code !== 11000)
+    ) {
+      throw error;
+    }
+  }
+};
 
-      if (!user) {
-        return res.status(404).send({ message: "User not found" });
+// --------------------------
+// Booking Status Changes
+// --------------------------
+
+// Move a booking to a new status and append the change to its
+// statusHistory. actor is { roles, email } where roles holds any of
+// "admin", "owner" and "system".
+const transitionBooking = async (
+  booking,
+  to,
+  actor,
+  { reason = null, set = {}, unset = {}, session } = {}
+) => {
+  const from = booking.status;
+  const role = allowedTransitionRole(from, to, actor.roles);
+  if (!role) {
+    return {
+      status: 409,
+      error: `Booking cannot move from ${from} to ${to}`,
+    };
+  }
+
+  const now = new Date();
+  const update = {
+    // e.g. approvedAt, paidAt, cancelledAt
+    $set: { ...set, status: to, [`${to}At`]: now, updatedAt: now },
+    $push: {
+      statusHistory: {
+        from,
+        to,
+        actor: { role, email: actor.email || null },
+        at: now,
+        reason,
+      },
+    },
+  };
+  if (Object.keys(unset).length > 0) {
+    update.$unset = unset;
+  }
+
+  // Matching on the old status keeps two concurrent changes from both winning
+  const updated = await bookingsCollection.findOneAndUpdate(
+    { _id: booking._id, status: from },
+    update,
+    { returnDocument: "after", session }
+  );
+  if (!updated) {
+    return { status: 409, error: "Booking was changed by another request" };
+  }
+
+  if (
+    ACTIVE_BOOKING_STATUSES.includes(from) &&
+    !ACTIVE_BOOKING_STATUSES.includes(to)
+  ) {
+    await releaseSlots(booking._id);
+  }
+
+  const event = [
+    EVENTS.BOOKING_STATUS_CHANGED,
+    {
+      booking: updated,
+      from,
+      to,
+      actor: { role, email: actor.email || null },
+      reason,
+    },
+  ];
+  // Inside a transaction the caller publishes once it commits
+  if (session) return { booking: updated, event };
+
+  publish(...event);
+  return { booking: updated };
+};
+
+const SYSTEM_ACTOR = { roles: ["system"], email: null };
+
+// Work out how the requester relates to a booking
+const getBookingActor = async (req, booking) => {
+  const requester = await usersCollection.findOne({
+    email: req.decoded.email,
+  });
+  const roles = [];
+  if (requester?.role === "admin") roles.push("admin");
+  // Venue managers act as admins for bookings at their own venues
+  if (
+    requester?.role === "venue-manager" &&
+    managesVenue(
+      requester,
+      await findVenueId(courtsCollection, booking.courtId)
+    )
+  ) {
+    roles.push("admin");
+  }
+  if (booking.userEmail === req.decoded.email) roles.push("owner");
+  return { roles, email: req.decoded.email };
+};
+
+// --------------------------
+// Court Closures
+// --------------------------
+
+// Closures of a court that touch a date
+const findClosures = (courtId, date) =>
+  courtClosuresCollection
+    .find({
+      courtId: String(courtId),
+      startDate: { $lte: date },
+      endDate: { $gte: date },
+    })
+    .toArray();
+
+// Mark the active bookings a new closure overlaps so an admin can move or
+// cancel them. Returns the flagged bookings.
+const flagClosureConflicts = async (closure) => {
+  const bookings = await bookingsCollection
+    .find({
+      courtId: closure.courtId,
+      date: {
+        $gte: closure.startDate,
+        $lte: closure.endDate,
+      },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    })
+    .project({ userEmail: 1, courtName: 1, date: 1, slots: 1, status: 1 })
+    .toArray();
+
+  const conflicts = bookings.filter((booking) =>
+    booking.slots.some((slot) => closureBlocks(closure, booking.date, slot))
+  );
+  if (conflicts.length > 0) {
+    await bookingsCollection.updateMany(
+      { _id: { $in: conflicts.map((booking) => booking._id) } },
+      {
+        $push: {
+          closureConflicts: {
+            closureId: closure._id,
+            reason: closure.reason,
+            flaggedAt: new Date(),
+          },
+        },
+      }
+    );
+  }
+  return conflicts;
+};
+
+// --------------------------
+// CSV Export and Import
+// --------------------------
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Columns of each export: [header, value of a document]
+const CSV_EXPORTS = {
+  bookings: [
+    ["Booking ID", (b) => b._id],
+    ["User email", (b) => b.userEmail],
+    ["Court ID", (b) => b.courtId],
+    ["Court", (b) => b.courtName],
+    ["Date", (b) => b.date],
+    ["Slots", (b) => (b.slots || []).join("; ")],
+    ["Status", (b) => b.status],
+    ["Subtotal", (b) => b.price?.subtotal],
+    ["Coupon", (b) => b.price?.couponCode],
+    ["Discount", (b) => b.price?.discount],
+    ["Total", (b) => b.totalPrice],
+    ["Series ID", (b) => b.seriesId],
+    ["Created at", (b) => b.createdAt],
+    ["Paid at", (b) => b.paidAt],
+    ["Cancelled at", (b) => b.cancelledAt],
+  ],
+  payments: [
+    ["Payment ID", (p) => p._id],
+    ["Receipt number", (p) => p.receiptNumber],
+    ["Email", (p) => p.email],
+    ["Booking ID", (p) => p.bookingId],
+    ["Series ID", (p) => p.seriesId],
+    ["Amount", (p) => p.amount],
+    ["Discount", (p) => p.discount],
+    ["Coupon", (p) => p.coupon],
+    ["Refunded", (p) => p.refundedAmount || 0],
+    ["Status", (p) => p.status || "succeeded"],
+    ["Payment method", (p) => p.paymentMethod],
+    ["Transaction ID", (p) => p.transactionId],
+    ["Created at", (p) => p.createdAt],
+  ],
+  users: [
+    ["User ID", (u) => u._id],
+    ["Name", (u) => u.name],
+    ["Email", (u) => u.email],
+    ["Role", (u) => u.role || "user"],
+    ["Venues", (u) => (u.venueIds || []).join("; ")],
+    ["Member since", (u) => u.memberSince],
+    ["Created at", (u) => u.created_at],
+    ["Last log in", (u) => u.last_log_in],
+  ],
+};
+
+// Stream a cursor to the response as a CSV download
+const sendCsv = async (res, name, columns, cursor) => {
+  res
+    .type("text/csv; charset=utf-8")
+    .attachment(`${name}-${formatDate(new Date())}.csv`);
+  res.write(toCsvRow(columns.map(([header]) => header)));
+
+  for await (const doc of cursor) {
+    const ok = res.write(toCsvRow(columns.map(([, value]) => value(doc))));
+    // Let a slow client catch up before reading more
+    if (!ok) await once(res, "drain");
+  }
+  res.end();
+};
+
+// Check the rows of an import. checkRow(data, seen) returns the document to
+// insert or { error }, and may note the row in seen to catch duplicates
+// within the file. Returns { docs, errors }.
+const checkImportRows = async (rows, schema, checkRow) => {
+  const docs = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const { line, data } of rows) {
+    const fields = validate(schema, data);
+    if (fields.length > 0) {
+      errors.push({ line, error: "Validation failed", fields });
+      continue;
+    }
+    const checked = await checkRow(data, seen);
+    if (checked.error) {
+      errors.push({ line, error: checked.error });
+      continue;
+    }
+    docs.push(checked);
+  }
+  return { docs, errors };
+};
+
+// Import CSV rows into a collection, nothing at all if any row is bad.
+// ?dryRun=true only reports what would happen.
+const importCsv = async (req, res, { collection, schema, checkRow }) => {
+  if (typeof req.body !== "string") {
+    return res.status(415).send({ error: "Send the file as text/csv" });
+  }
+  const parsed = readCsvRecords(req.body, schema);
+  if (parsed.error) {
+    return res.status(400).send({ error: parsed.error });
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    return res
+      .status(400)
+      .send({ error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` });
+  }
+
+  const dryRun = req.query.dryRun === "true";
+  const { docs, errors } = await checkImportRows(parsed.rows, schema, checkRow);
+  const report = {
+    dryRun,
+    rows: parsed.rows.length,
+    valid: docs.length,
+    invalid: errors.length,
+    imported: 0,
+    errors,
+  };
+
+  if (dryRun) return res.send(report);
+  if (errors.length > 0 || docs.length === 0) {
+    return res.status(400).send({
+      error:
+        errors.length > 0 ? "Some rows are invalid" : "The file has no rows",
+      ...report,
+    });
+  }
+
+  const now = new Date();
+  const result = await collection.insertMany(
+    docs.map((doc) => ({ ...doc, createdAt: now }))
+  );
+  res.locals.auditDetails = {
+    imported: result.insertedCount,
+    insertedIds: Object.values(result.insertedIds).map(String),
+  };
+  res.send({ ...report, imported: result.insertedCount });
+};
+
+// --------------------------
+// Calendar Feeds
+// --------------------------
+// Calendar apps can't send a Firebase token, so feeds are opened by a
+// secret token in the URL instead. Only its hash is stored, and issuing a
+// new one revokes the old.
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Give a user or court a new feed token. Returns the feed URL.
+const issueCalendarToken = async (req, collection, filter, kind) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  await collection.updateOne(filter, {
+    $set: { calendarTokenHash: hashToken(token) },
+  });
+  const baseUrl = config.publicUrl || `${req.protocol}://${req.get("host")}`;
+  return `${baseUrl}/calendar/${kind}/${token}.ics`;
+};
+
+// Bookings of a feed, from a while back onwards
+const feedBookings = (filter) => {
+  const since = new Date(
+    Date.now() - config.calendarFeed.daysBack * 24 * 60 * 60 * 1000
+  );
+  return bookingsCollection
+    .find({ ...filter, date: { $gte: formatDate(since) } })
+    .sort({ date: 1 })
+    .toArray();
+};
+
+const sendCalendar = (res, name, eventLines) =>
+  res
+    .type("text/calendar; charset=utf-8")
+    .set("Cache-Control", "private, max-age=300")
+    .send(buildCalendar(name, eventLines));
+
+// --------------------------
+// Creating and Cancelling Bookings
+// --------------------------
+
+// Price, reserve and insert a pending booking. extra is merged into the
+// document (e.g. seriesId). Callers that may still undo the booking pass
+// publishCreated: false and publish BOOKING_CREATED themselves. Returns
+// { booking } or { status, error, ... }.
+const createBooking = async ({
+  court,
+  userEmail,
+  date,
+  slots,
+  couponCode,
+  extra = {},
+  publishCreated = true,
+}) => {
+  if (court.archivedAt) {
+    return { status: 409, error: "Court is archived" };
+  }
+
+  const courtId = String(court._id);
+  const requestedSlots = [...new Set(slots)];
+  const offeredSlots = scheduledSlots(court, date);
+  const unknownSlots = requestedSlots.filter(
+    (slot) => !offeredSlots.includes(slot)
+  );
+  if (unknownSlots.length > 0) {
+    return {
+      status: 400,
+      error: "Court does not offer these slots",
+      unknownSlots,
+    };
+  }
+
+  const windowError = await checkBookingWindow(userEmail, date);
+  if (windowError) return windowError;
+
+  const closed = closedSlots(
+    requestedSlots,
+    await findClosures(courtId, date),
+    date
+  );
+  if (closed.length > 0) {
+    return {
+      status: 400,
+      error: "Court is closed for these slots",
+      closedSlots: closed,
+    };
+  }
+
+  // The client never decides what a booking costs
+  const quote = await quoteBooking({
+    court,
+    userEmail,
+    date,
+    slots: requestedSlots,
+    couponCode,
+  });
+  if (quote.error) return quote;
+  const { price } = quote;
+
+  const booking = {
+    _id: new ObjectId(),
+    userEmail,
+    courtId,
+    courtName: court.name || court.type,
+    slots: requestedSlots,
+    price,
+    totalPrice: price.total,
+    status: "pending",
+    createdAt: new Date(),
+    date,
+    ...extra,
+    statusHistory: [
+      {
+        from: null,
+        to: "pending",
+        actor: { role: "owner", email: userEmail },
+        at: new Date(),
+        reason: null,
+      },
+    ],
+  };
+
+  // Reserve the slots first so two requests can't both get them
+  const { reserved, taken } = await reserveSlots({
+    bookingId: booking._id,
+    courtId,
+    date,
+    slots: requestedSlots,
+  });
+  if (!reserved) {
+    return { status: 409, error: "Some slots are already booked", taken };
+  }
+
+  try {
+    await bookingsCollection.insertOne(booking);
+  } catch (error) {
+    // Nobody ever held these slots, so there's no one to promote into them
+    await slotReservationsCollection.deleteMany({ bookingId: booking._id });
+    throw error;
+  }
+  if (publishCreated) {
+    publish(EVENTS.BOOKING_CREATED, { booking });
+  }
+  return { booking };
+};
+
+// Cancel a booking, refunding paid ones under the cancellation policy.
+// refundPercent lets an admin override the policy. Returns { refund } or
+// { status, error }; once cancelled, a refund Stripe refused comes back with
+// status "failed".
+const cancelBooking = async (booking, actor, { reason, refundPercent }) => {
+  if (!allowedTransitionRole(booking.status, "cancelled", actor.roles)) {
+    return {
+      status: 409,
+      error: `Booking cannot move from ${booking.status} to cancelled`,
+    };
+  }
+
+  const override = refundPercent !== undefined && refundPercent !== null;
+  if (override) {
+    if (!actor.roles.includes("admin")) {
+      return {
+        status: 403,
+        error: "Forbidden: Only admins can override the policy",
+      };
+    }
+    if (
+      typeof refundPercent !== "number" ||
+      refundPercent < 0 ||
+      refundPercent > 100
+    ) {
+      return { status: 400, error: "refundPercent must be between 0 and 100" };
+    }
+  }
+
+  let refund = null;
+  let payment = null;
+  if (["paid", "confirmed"].includes(booking.status)) {
+    const percent = override
+      ? refundPercent
+      : refundPercentFor(
+          config.cancellation,
+          firstSlotStart(booking.date, booking.slots)
+        );
+
+    payment = await paymentsCollection.findOne({
+      bookingId: String(booking._id),
+      status: { $in: ["succeeded", "partially_refunded"] },
+    });
+    if (!payment && percent > 0) {
+      return {
+        status: 409,
+        error: "No refundable payment found for this booking",
+      };
+    }
+
+    const amount = payment
+      ? roundCurrency(
+          Math.min(
+            (payment.amount * percent) / 100,
+            payment.amount - (payment.refundedAmount || 0)
+          )
+        )
+      : 0;
+
+    refund = { percent, amount, refundId: null, overridden: override };
+    if (amount > 0) {
+      refund.status = "pending";
+    }
+  }
+
+  // The booking is cancelled before any money moves, so a concurrent change
+  // to it can't leave a refunded booking still paid
+  const transition = await transitionBooking(booking, "cancelled", actor, {
+    reason: reason || null,
+    set: { refund },
+  });
+  if (transition.error) {
+    return transition;
+  }
+  if (!refund?.status) {
+    return { refund };
+  }
+
+  try {
+    const stripeRefund = await refundPayment(payment, refund.amount, {
+      reason: reason || "Booking cancelled",
+      refundedBy: actor.email,
+    });
+    refund = { ...refund, refundId: stripeRefund.id, status: "refunded" };
+  } catch (error) {
+    // Left on the booking for an admin to refund by hand
+    console.error(`Refund for cancelled booking ${booking._id} failed:`, error);
+    refund = { ...refund, status: "failed", error: error.message };
+  }
+  await bookingsCollection.updateOne(
+    { _id: booking._id },
+    { $set: { refund } }
+  );
+  return { refund };
+};
+
+// What a bulk cancellation did, for res.locals.auditDetails
+const cancellationAuditDetails = (cancelled, failed) => ({
+  cancelled: cancelled.map(({ bookingId, refund }) => ({
+    bookingId: String(bookingId),
+    refundAmount: refund?.amount ?? 0,
+    refundId: refund?.refundId ?? null,
+    refundStatus: refund?.status ?? null,
+  })),
+  failed: failed.map(({ bookingId, error }) => ({
+    bookingId: String(bookingId),
+    error,
+  })),
+});
+
+// --------------------------
+// Court Archiving
+// --------------------------
+
+// Bookings from today on that still hold a court's slots, and what
+// cancelling them would refund at most
+const courtArchiveImpact = async (court) => {
+  const courtId = String(court._id);
+  const today = formatDate(new Date());
+  const [bookings, waitlistCount] = await Promise.all([
+    bookingsCollection
+      .find({
+        courtId,
+        date: { $gte: today },
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+      })
+      .sort({ date: 1 })
+      .toArray(),
+    waitlistCollection.countDocuments({
+      courtId,
+      date: { $gte: today },
+      status: "waiting",
+    }),
+  ]);
+  const paid = bookings.filter((booking) =>
+    ["paid", "confirmed"].includes(booking.status)
+  );
+
+  return {
+    bookingCount: bookings.length,
+    paidCount: paid.length,
+    refundTotal: roundCurrency(
+      paid.reduce((sum, booking) => sum + (booking.totalPrice || 0), 0)
+    ),
+    waitlistCount,
+    bookings: bookings.map((booking) => ({
+      _id: booking._id,
+      userEmail: booking.userEmail,
+      date: booking.date,
+      slots: booking.slots,
+      status: booking.status,
+      totalPrice: booking.totalPrice,
+    })),
+  };
+};
+
+// --------------------------
+// Waitlist
+// --------------------------
+
+// Give a freed slot to the first person waiting for it as a provisional
+// pending booking. Entries that can no longer be booked are skipped.
+const promoteFromWaitlist = async (courtId, date, slot) => {
+  const court = await courtsCollection.findOne({ _id: new ObjectId(courtId) });
+  if (!court) return;
+
+  for (;;) {
+    const entry = await waitlistCollection.findOne(
+      { courtId, date, slot, status: "waiting" },
+      { sort: { createdAt: 1 } }
+    );
+    if (!entry) return;
+
+    const created = await createBooking({
+      court,
+      userEmail: entry.userEmail,
+      date,
+      slots: [slot],
+      extra: { provisional: true, waitlistEntryId: entry._id },
+    });
+
+    // Someone else already holds the slot again, keep the queue as it is
+    if (created.status === 409) return;
+
+    await waitlistCollection.updateOne(
+      { _id: entry._id },
+      created.error
+        ? { $set: { status: "failed", error: created.error } }
+        : {
+            $set: {
+              status: "promoted",
+              bookingId: created.booking._id,
+              promotedAt: new Date(),
+            },
+          }
+    );
+    if (!created.error) return;
+  }
+};
+
+// --------------------------
+// Booking Expiry Sweeper
+// --------------------------
+
+let sweepRunning = false;
+
+// A booking's PaymentIntent is cancelled before the booking expires, so it
+// can't be charged afterwards. Returns false while a payment on it is under
+// way; the webhook settles those.
+const cancelOpenPaymentIntent = async (booking) => {
+  try {
+    const open = await openPaymentIntent(booking.paymentIntentId);
+    if (open.error) return false;
+    if (open.intent) {
+      await stripe.paymentIntents.cancel(open.intent.id);
+    }
+    return true;
+  } catch (error) {
+    // Most likely paid in the meantime; the next sweep looks again
+    console.warn(
+      `Couldn't cancel PaymentIntent ${booking.paymentIntentId} of booking ${booking._id}:`,
+      error.message
+    );
+    return false;
+  }
+};
+
+// Expire stale pending and unpaid bookings, freeing their slots
+const expireStaleBookings = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const staleBookings = await bookingsCollection
+      .find(expiredBookingsFilter(config.bookingExpiry))
+      .toArray();
+
+    let expired = 0;
+    for (const booking of staleBookings) {
+      if (!(await cancelOpenPaymentIntent(booking))) continue;
+      const transition = await transitionBooking(
+        booking,
+        "expired",
+        SYSTEM_ACTOR,
+        { reason: expiryReason(booking, config.bookingExpiry) }
+      );
+      // A 409 here means the booking changed under us, which is fine
+      if (transition.error && transition.status !== 409) {
+        console.error(`Failed to expire booking ${booking._id}`);
+      }
+      if (!transition.error) expired++;
+    }
+
+    if (expired > 0) {
+      console.log(`⏰ Expired ${expired} stale booking(s)`);
+    }
+  } catch (error) {
+    console.error("Error expiring stale bookings:", error);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+const startBookingSweeper = () => {
+  const interval = config.bookingExpiry.sweepIntervalMinutes * 60 * 1000;
+  expireStaleBookings();
+  setInterval(expireStaleBookings, interval).unref();
+};
+
+// --------------------------
+// Notifications
+// --------------------------
+
+const transports = createTransports(config.notifications, {
+  messaging: admin.messaging(),
+});
+
+const notifyUser = async (email, event, data) => {
+  const user = await usersCollection.findOne({ email });
+  if (user) await deliver(transports, user, event, data);
+};
+
+let remindersRunning = false;
+
+// Remind users of approved and paid bookings starting within reminderHours.
+// reminderSentAt makes sure each booking is reminded once.
+const sendBookingReminders = async () => {
+  if (remindersRunning) return;
+  remindersRunning = true;
+
+  try {
+    const now = new Date();
+    const until = new Date(
+      now.getTime() + config.notifications.reminderHours * 60 * 60 * 1000
+    );
+    const bookings = await bookingsCollection
+      .find({
+        status: { $in: ["approved", "paid", "confirmed"] },
+        reminderSentAt: { $exists: false },
+        date: { $gte: formatDate(now), $lte: formatDate(until) },
+      })
+      .toArray();
+
+    for (const booking of bookings) {
+      const startsAt = firstSlotStart(booking.date, booking.slots);
+      if (!startsAt || startsAt < now || startsAt > until) continue;
+
+      const claimed = await bookingsCollection.updateOne(
+        { _id: booking._id, reminderSentAt: { $exists: false } },
+        { $set: { reminderSentAt: now } }
+      );
+      if (claimed.modifiedCount === 1) {
+        publish(EVENTS.BOOKING_REMINDER, { booking, startsAt });
+      }
+    }
+  } catch (error) {
+    console.error("Error sending booking reminders:", error);
+  } finally {
+    remindersRunning = false;
+  }
+};
+
+let announcementsRunning = false;
+
+// Send out announcements once their publish time comes. notifiedAt makes
+// sure each goes out once; announcements from before scheduling have no
+// publishAt and never do.
+const publishDueAnnouncements = async () => {
+  if (announcementsRunning) return;
+  announcementsRunning = true;
+
+  try {
+    const now = new Date();
+    const due = await announcementsCollection
+      .find({
+        notifiedAt: null,
+        publishAt: { $lte: now },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+      })
+      .toArray();
+
+    for (const announcement of due) {
+      const claimed = await announcementsCollection.updateOne(
+        { _id: announcement._id, notifiedAt: null },
+        { $set: { notifiedAt: now } }
+      );
+      if (claimed.modifiedCount === 1) {
+        publish(EVENTS.ANNOUNCEMENT_PUBLISHED, { announcement });
+      }
+    }
+  } catch (error) {
+    console.error("Error publishing announcements:", error);
+  } finally {
+    announcementsRunning = false;
+  }
+};
+
+// The users an announcement is for, as a users filter. Venue and court
+// announcements go to whoever has booked there.
+const announcementRecipients = async (announcement) => {
+  switch (announcement.audience) {
+    case "members":
+      return { role: { $in: ["member", "admin"] } };
+    case "admins":
+      return announcement.venueId
+        ? {
+            $or: [
+              { role: "admin" },
+              { role: "venue-manager", venueIds: announcement.venueId },
+            ],
+          }
+        : { role: "admin" };
+    case "venue":
+    case "court": {
+      const courtIds =
+        announcement.audience === "court"
+          ? [announcement.courtId]
+          : (
+              await courtsCollection
+                .find({ venueId: announcement.venueId })
+                .project({ _id: 1 })
+                .toArray()
+            ).map((court) => String(court._id));
+      const emails = await bookingsCollection.distinct("userEmail", {
+        courtId: { $in: courtIds },
+      });
+      return { email: { $in: emails } };
+    }
+    default:
+      return {};
+  }
+};
+
+const startNotifications = () => {
+  for (const event of [
+    EVENTS.BOOKING_CREATED,
+    EVENTS.PAYMENT_RECORDED,
+    EVENTS.BOOKING_REMINDER,
+  ]) {
+    subscribe(event, (data) => notifyUser(data.booking.userEmail, event, data));
+  }
+
+  subscribe(EVENTS.BOOKING_STATUS_CHANGED, (data) => {
+    // A payment notification covers the move to paid
+    if (data.to === "paid") return;
+    return notifyUser(
+      data.booking.userEmail,
+      EVENTS.BOOKING_STATUS_CHANGED,
+      data
+    );
+  });
+
+  // The announcement's audience, less anyone who turned announcements off
+  subscribe(EVENTS.ANNOUNCEMENT_PUBLISHED, async (data) => {
+    const users = usersCollection.find({
+      ...(await announcementRecipients(data.announcement)),
+      [`notificationPreferences.events.${EVENTS.ANNOUNCEMENT_PUBLISHED}`]: {
+        $ne: false,
+      },
+    });
+    for await (const user of users) {
+      await deliver(transports, user, EVENTS.ANNOUNCEMENT_PUBLISHED, data);
+    }
+  });
+
+  const interval = config.notifications.reminderIntervalMinutes * 60 * 1000;
+  sendBookingReminders();
+  setInterval(sendBookingReminders, interval).unref();
+
+  publishDueAnnouncements();
+  setInterval(
+    publishDueAnnouncements,
+    config.notifications.announcementIntervalMinutes * 60 * 1000
+  ).unref();
+};
+
+// --------------------------
+// Memberships
+// --------------------------
+
+// The plan behind a user's membership, while the membership lasts
+const findMembershipPlan = async (user) => {
+  if (!membershipActive(user?.membership)) return null;
+  return membershipPlansCollection.findOne({
+    _id: new ObjectId(user.membership.planId),
+  });
+};
+
+// Bring a user's membership and role in line with a Stripe subscription.
+// Stripe tells us about every change (renewal, failed payment, cancelling,
+// ending) through customer.subscription.* events.
+const syncSubscription = async (subscription) => {
+  const user = await usersCollection.findOne(
+    subscription.metadata?.email
+      ? { email: subscription.metadata.email }
+      : { "membership.subscriptionId": subscription.id }
+  );
+  if (!user) {
+    console.warn(`Subscription ${subscription.id} has no known user`);
+    return;
+  }
+
+  // Events for a subscription the user has since replaced don't count
+  if (
+    user.membership?.subscriptionId &&
+    user.membership.subscriptionId !== subscription.id &&
+    membershipActive(user.membership)
+  ) {
+    return;
+  }
+
+  const membership = membershipFromSubscription(subscription, {
+    planId: subscription.metadata?.planId ?? user.membership?.planId ?? null,
+    graceDays: config.memberships.graceDays,
+  });
+  const roleUpdate = membershipRoleUpdate(user, membership);
+  await usersCollection.updateOne(
+    { _id: user._id },
+    {
+      ...roleUpdate,
+      $set: { ...roleUpdate?.$set, membership },
+    }
+  );
+};
+
+let membershipsRunning = false;
+
+// Stripe keeps a subscription past_due while it retries, so members whose
+// grace period has run out are downgraded here rather than by a webhook
+const lapseMemberships = async () => {
+  if (membershipsRunning) return;
+  membershipsRunning = true;
+
+  try {
+    const now = new Date();
+    const lapsed = await usersCollection
+      .find({ role: "member", "membership.graceUntil": { $lte: now } })
+      .toArray();
+    for (const user of lapsed) {
+      const update = membershipRoleUpdate(user, user.membership, now);
+      if (update) {
+        await usersCollection.updateOne(
+          { _id: user._id, role: "member" },
+          update
+        );
+      }
+    }
+  } catch (error) {
+    console.error("Error lapsing memberships:", error);
+  } finally {
+    membershipsRunning = false;
+  }
+};
+
+const startMembershipSweeper = () => {
+  const interval = config.memberships.sweepIntervalMinutes * 60 * 1000;
+  lapseMemberships();
+  setInterval(lapseMemberships, interval).unref();
+};
+
+// Bookings open bookingWindowDays ahead, further for members whose plan
+// says so. Returns { status, error } or null.
+const checkBookingWindow = async (userEmail, date) => {
+  const user = await usersCollection.findOne({ email: userEmail });
+  const days = bookingWindowDays(
+    await findMembershipPlan(user),
+    config.bookingWindowDays
+  );
+  if (days === null) return null;
+
+  const lastDay = new Date();
+  lastDay.setDate(lastDay.getDate() + days);
+  if (date > formatDate(lastDay)) {
+    return {
+      status: 400,
+      error: `Bookings open at most ${days} days ahead`,
+    };
+  }
+  return null;
+};
+
+// --------------------------
+// Pricing
+// --------------------------
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Look up a coupon by code and check it against couponRules.js. Pass what
+// is known about the purchase: subtotal, courtType, venueId and userEmail.
+const findValidCoupon = async (
+  code,
+  { subtotal, courtType, venueId, userEmail } = {}
+) => {
+  const coupon = await couponsCollection.findOne({ code: String(code).trim() });
+  if (!coupon) {
+    return { status: 404, error: "Coupon not found" };
+  }
+
+  const [user, totalRedemptions, userRedemptions] = await Promise.all([
+    userEmail ? usersCollection.findOne({ email: userEmail }) : null,
+    couponRedemptionsCollection.countDocuments({ couponId: coupon._id }),
+    userEmail
+      ? couponRedemptionsCollection.countDocuments({
+          couponId: coupon._id,
+          userEmail,
+        })
+      : 0,
+  ]);
+
+  const check = checkCoupon(coupon, {
+    subtotal,
+    courtType,
+    venueId,
+    userRole: user?.role,
+    totalRedemptions,
+    userRedemptions,
+  });
+  if (check.error) {
+    return { status: 400, error: check.error };
+  }
+  return { coupon, discount: check.discount };
+};
+
+// Price a booking slot by slot from the court's rate and the pricing rules
+// that cover it, see pricingRules.js. Amounts are in USD.
+const priceBooking = async ({ court, date, slots, userEmail }) => {
+  const [rules, user] = await Promise.all([
+    pricingRulesCollection
+      .find({
+        active: { $ne: false },
+        $or: [
+          { courtId: String(court._id) },
+          { courtType: court.type },
+          { courtId: null, courtType: null },
+        ],
+      })
+      .toArray(),
+    userEmail ? usersCollection.findOne({ email: userEmail }) : null,
+  ]);
+
+  // A membership plan's discount applies to every slot
+  const plan = await findMembershipPlan(user);
+  const memberRule = plan && membershipPricingRule(plan);
+  if (memberRule) rules.push(memberRule);
+
+  const { breakdown, subtotal } = priceSlots(court, {
+    date,
+    slots,
+    role: user?.role,
+    rules,
+  });
+
+  return {
+    unitPrice: Number(court.price),
+    slotCount: slots.length,
+    breakdown,
+    subtotal,
+    couponCode: null,
+    discount: 0,
+    total: subtotal,
+  };
+};
+
+const applyCoupon = (price, coupon) => {
+  const discount = couponDiscount(coupon, price.subtotal);
+  return {
+    ...price,
+    couponCode: coupon.code,
+    discount,
+    total: roundCurrency(price.subtotal - discount),
+  };
+};
+
+// Price a booking with an optional coupon. Returns { price } or
+// { status, error }.
+const quoteBooking = async ({ court, userEmail, date, slots, couponCode }) => {
+  const price = await priceBooking({ court, date, slots, userEmail });
+  if (!couponCode) return { price };
+
+  const couponCheck = await findValidCoupon(couponCode, {
+    subtotal: price.subtotal,
+    courtType: court.type,
+    venueId: court.venueId ?? null,
+    userEmail,
+  });
+  if (couponCheck.error) {
+    return { status: couponCheck.status, error: couponCheck.error };
+  }
+  return { price: applyCoupon(price, couponCheck.coupon) };
+};
+
+// --------------------------
+// Stripe Payments
+// --------------------------
+
+// Count a coupon as used once the booking it discounted is paid. Other
+// bookings may have used the coupon up since it was applied, so its limits
+// are checked again here. Returns { error } when they're reached.
+const recordCouponRedemption = async (
+  booking,
+  transactionId,
+  { session } = {}
+) => {
+  const coupon = await couponsCollection.findOne(
+    { code: booking.price.couponCode },
+    { session }
+  );
+  if (!coupon) return {};
+
+  // One redemption per payment, even one covering a series
+  const redeemed = await couponRedemptionsCollection.findOne(
+    { transactionId },
+    { session }
+  );
+  if (redeemed) return {};
+
+  if (coupon.perUserLimit) {
+    const userRedemptions = await couponRedemptionsCollection.countDocuments(
+      { couponId: coupon._id, userEmail: booking.userEmail },
+      { session }
+    );
+    if (userRedemptions >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon" };
+    }
+  }
+
+  // Coupons from before the counter start it at their redemptions so far
+  if (coupon.redemptions === undefined) {
+    await couponsCollection.updateOne(
+      { _id: coupon._id, redemptions: { $exists: false } },
+      {
+        $set: {
+          redemptions: await couponRedemptionsCollection.countDocuments(
+            { couponId: coupon._id },
+            { session }
+          ),
+        },
+      },
+      { session }
+    );
+  }
+
+  // Take a use only while one is left. Concurrent payments both write the
+  // coupon, so one of them is retried and sees the other's redemption.
+  const taken = await couponsCollection.updateOne(
+    {
+      _id: coupon._id,
+      ...(coupon.maxRedemptions
+        ? { redemptions: { $lt: coupon.maxRedemptions } }
+        : {}),
+    },
+    { $inc: { redemptions: 1 } },
+    { session }
+  );
+  if (taken.matchedCount === 0) {
+    return { error: "Coupon has been fully redeemed" };
+  }
+
+  await couponRedemptionsCollection.insertOne(
+    {
+      couponId: coupon._id,
+      code: coupon.code,
+      userEmail: booking.userEmail,
+      bookingId: String(booking._id),
+      transactionId,
+      discount: booking.price.discount,
+      redeemedAt: new Date(),
+    },
+    { session }
+  );
+  return {};
+};
+
+// Give a payment the next receipt number unless it already has one.
+// Returns the payment with its number.
+const ensureReceiptNumber = async (payment, { session } = {}) => {
+  if (payment.receiptNumber) return payment;
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: "receipts" },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after", session }
+  );
+  const numbered = await paymentsCollection.findOneAndUpdate(
+    { _id: payment._id, receiptNumber: { $exists: false } },
+    { $set: { receiptNumber: counter.seq } },
+    { returnDocument: "after", session }
+  );
+  // Numbered by a concurrent request in the meantime
+  return (
+    numbered || paymentsCollection.findOne({ _id: payment._id }, { session })
+  );
+};
+
+// Receipt contents for payment rows, numbering any that aren't yet
+const buildReceipts = async (payments) => {
+  const bookings = await bookingsCollection
+    .find({
+      _id: {
+        $in: payments
+          .filter((payment) => ObjectId.isValid(payment.bookingId))
+          .map((payment) => new ObjectId(payment.bookingId)),
+      },
+    })
+    .toArray();
+  const bookingsById = new Map(
+    bookings.map((booking) => [String(booking._id), booking])
+  );
+
+  const receipts = [];
+  for (const payment of payments) {
+    const numbered = await ensureReceiptNumber(payment);
+    receipts.push(
+      receiptDetails(numbered, bookingsById.get(String(payment.bookingId)))
+    );
+  }
+  return receipts;
+};
+
+// Bookings a PaymentIntent pays for: one booking, or every occurrence of a
+// series that was approved when the intent was created
+const findIntentBookings = async (paymentIntent, { session } = {}) => {
+  const { bookingId, seriesId } = paymentIntent.metadata || {};
+  if (seriesId) {
+    return bookingsCollection
+      .find({ paymentIntentId: paymentIntent.id }, { session })
+      .toArray();
+  }
+  if (!bookingId || !ObjectId.isValid(bookingId)) {
+    return [];
+  }
+  const booking = await bookingsCollection.findOne(
+    { _id: new ObjectId(bookingId) },
+    { session }
+  );
+  return booking ? [booking] : [];
+};
+
+// The PaymentIntent a booking is already being paid with, while the user can
+// still pay it. { status, error } when a payment on it is under way or done.
+const openPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return {};
+  const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (["processing", "requires_capture", "succeeded"].includes(intent.status)) {
+    return { status: 409, error: "Booking is already being paid for" };
+  }
+  return intent.status === "canceled" ? {} : { intent };
+};
+
+// Why a succeeded PaymentIntent couldn't pay for its bookings
+const UNAPPLIED_PAYMENT_ERRORS = {
+  amount_mismatch: "Amount paid doesn't match the booking total",
+  booking_not_payable: "Booking can no longer be paid for",
+  coupon_unavailable: "Coupon can no longer be used",
+};
+
+// Money Stripe took for bookings that can't be marked paid is given back in
+// full, and kept as a payment row flagged with the issue so revenue and
+// refunds still add up. When Stripe won't refund, the row is left as
+// needs_review for an admin to sort out.
+const refundUnappliedPayment = async (paymentIntent, bookings, issue) => {
+  const { seriesId = null } = paymentIntent.metadata || {};
+  const bookingId = seriesId ? null : String(bookings[0]._id);
+  const amount = paymentIntent.amount_received / 100;
+  console.warn(`PaymentIntent ${paymentIntent.id} not applied: ${issue}`);
+
+  let refund = null;
+  try {
+    refund = await stripe.refunds.create(
+      { payment_intent: paymentIntent.id, metadata: { issue } },
+      { idempotencyKey: `refund-unapplied-${paymentIntent.id}` }
+    );
+  } catch (error) {
+    console.error(
+      `Refund of unapplied PaymentIntent ${paymentIntent.id} failed:`,
+      error.message
+    );
+  }
+
+  const now = new Date();
+  await paymentsCollection.updateOne(
+    { transactionId: paymentIntent.id, bookingId },
+    {
+      $setOnInsert: {
+        bookingId,
+        seriesId,
+        bookingIds: bookings.map((booking) => String(booking._id)),
+        email: bookings[0].userEmail,
+        paymentMethod: paymentIntent.payment_method_types?.[0] || "card",
+        transactionId: paymentIntent.id,
+        coversSeries: Boolean(seriesId),
+        amount,
+        discount: 0,
+        coupon: null,
+        issue,
+        status: refund ? "refunded" : "needs_review",
+        refundedAmount: refund ? amount : 0,
+        refunds: refund
+          ? [
+              {
+                refundId: refund.id,
+                amount,
+                reason: issue,
+                refundedBy: null,
+                createdAt: now,
+              },
+            ]
+          : [],
+        createdAt: now,
+      },
+    },
+    { upsert: true }
+  );
+
+  // Lets the user see why the booking is still unpaid
+  await bookingsCollection.updateMany(
+    {
+      _id: { $in: bookings.map((booking) => booking._id) },
+      status: "approved",
+    },
+    {
+      $set: {
+        lastPaymentError: {
+          transactionId: paymentIntent.id,
+          code: issue,
+          message: UNAPPLIED_PAYMENT_ERRORS[issue],
+          failedAt: now,
+        },
+      },
+      // Paying again needs a new intent
+      $unset: { paymentIntentId: "" },
+    }
+  );
+  return refund ? "refunded" : "needs_review";
+};
+
+const unappliedPaymentError = (payment) => ({
+  status: 409,
+  error: `${UNAPPLIED_PAYMENT_ERRORS[payment.issue]}; the payment ${
+    payment.status === "needs_review"
+      ? "is held for review"
+      : "has been refunded"
+  }`,
+});
+
+// Record a succeeded PaymentIntent and mark its bookings paid. Safe to call
+// more than once for the same intent: the webhook and POST /payments both
+// end up here. The bookings move to paid before anything is recorded, and
+// each gets its own payment row, all in one transaction. If any booking
+// can't be paid (it expired, was cancelled or costs something else) nothing
+// is recorded as paid and the intent is refunded instead, as it is when
+// the booking's coupon was used up in the meantime. Returns
+// { bookings } or { status, error }.
+const recordSucceededPayment = async (paymentIntent) => {
+  const events = [];
+  const session = client.startSession();
+  let result;
+  try {
+    result = await session.withTransaction(async () => {
+      // A retried transaction starts over
+      events.length = 0;
+
+      const bookings = await findIntentBookings(paymentIntent, { session });
+      if (bookings.length === 0) {
+        console.warn(`PaymentIntent ${paymentIntent.id} has no known booking`);
+        return { status: 404, error: "Booking not found" };
+      }
+
+      // Rows are written together, so any row means this intent was handled
+      const recorded = await paymentsCollection.findOne(
+        { transactionId: paymentIntent.id },
+        { session }
+      );
+      if (recorded) {
+        return recorded.issue ? unappliedPaymentError(recorded) : { bookings };
+      }
+
+      // Compared in cents, the unit Stripe charged in
+      const expected = bookings.reduce(
+        (sum, booking) => sum + Math.round((booking.totalPrice || 0) * 100),
+        0
+      );
+      if (paymentIntent.amount_received !== expected) {
+        return { bookings, issue: "amount_mismatch" };
+      }
+
+      for (const booking of bookings) {
+        const transition = await transitionBooking(
+          booking,
+          "paid",
+          SYSTEM_ACTOR,
+          {
+            reason: `Stripe payment ${paymentIntent.id}`,
+            unset: { lastPaymentError: "" },
+            session,
+          }
+        );
+        if (transition.error) {
+          // Drops the transitions already made for the other bookings
+          await session.abortTransaction();
+          console.warn(
+            `Payment ${paymentIntent.id} received for ${booking.status} booking ${booking._id}`
+          );
+          return { bookings, issue: "booking_not_payable" };
+        }
+        events.push(transition.event);
+
+        const payment = {
+          bookingId: String(booking._id),
+          seriesId: booking.seriesId || null,
+          email: booking.userEmail,
+          paymentMethod: paymentIntent.payment_method_types?.[0] || "card",
+          transactionId: paymentIntent.id,
+          coversSeries: Boolean(paymentIntent.metadata?.seriesId),
+          amount: booking.totalPrice,
+          discount: booking.price?.discount || 0,
+          coupon: booking.price?.couponCode || null,
+          status: "succeeded",
+          createdAt: new Date(),
+        };
+        const { insertedId } = await paymentsCollection.insertOne(payment, {
+          session,
+        });
+        events.push([
+          EVENTS.PAYMENT_RECORDED,
+          {
+            booking: transition.booking,
+            payment: await ensureReceiptNumber(
+              { ...payment, _id: insertedId },
+              { session }
+            ),
+          },
+        ]);
+
+        if (booking.price?.couponCode) {
+          const redemption = await recordCouponRedemption(
+            booking,
+            paymentIntent.id,
+            { session }
+          );
+          if (redemption.error) {
+            await session.abortTransaction();
+            console.warn(
+              `Payment ${paymentIntent.id} used coupon ${booking.price.couponCode}: ${redemption.error}`
+            );
+            return { bookings, issue: "coupon_unavailable" };
+          }
+        }
+      }
+
+      return { bookings };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.issue) {
+    const status = await refundUnappliedPayment(
+      paymentIntent,
+      result.bookings,
+      result.issue
+    );
+    return unappliedPaymentError({ issue: result.issue, status });
+  }
+
+  // Only once the writes are in
+  for (const [event, data] of events) {
+    publish(event, data);
+  }
+  return result;
+};
+
+// Keep the card error on the bookings so the user can retry
+const recordFailedPayment = async (paymentIntent) => {
+  const bookings = await findIntentBookings(paymentIntent);
+  if (bookings.length === 0) return;
+
+  const error = paymentIntent.last_payment_error;
+  await bookingsCollection.updateMany(
+    { _id: { $in: bookings.map((booking) => booking._id) } },
+    {
+      $set: {
+        lastPaymentError: {
+          transactionId: paymentIntent.id,
+          code: error?.code || null,
+          message: error?.message || "Payment failed",
+          failedAt: new Date(),
+        },
+      },
+    }
+  );
+};
+
+// Mirror refunds made through Stripe onto the payment and the booking
+const recordRefundedCharge = async (charge) => {
+  const payments = await paymentsCollection
+    .find({ transactionId: charge.payment_intent })
+    .toArray();
+  if (payments.length === 0) {
+    console.warn(`Refund for unknown PaymentIntent ${charge.payment_intent}`);
+    return;
+  }
+
+  // A series payment is split over several rows. Partial refunds on those
+  // come from refundPayment, which records them itself, so only a full
+  // refund needs mirroring.
+  if (payments.length === 1) {
+    await paymentsCollection.updateOne(
+      { _id: payments[0]._id },
+      {
+        // amount_refunded is the running total, so replays are harmless
+        $max: { refundedAmount: charge.amount_refunded / 100 },
+        $set: {
+          status: charge.refunded ? "refunded" : "partially_refunded",
+          refundedAt: new Date(),
+        },
+      }
+    );
+  } else if (charge.refunded) {
+    for (const payment of payments) {
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        {
+          $max: { refundedAmount: payment.amount },
+          $set: { status: "refunded", refundedAt: new Date() },
+        }
+      );
+    }
+  }
+
+  if (charge.refunded) {
+    for (const payment of payments) {
+      const booking = await bookingsCollection.findOne({
+        _id: new ObjectId(payment.bookingId),
+      });
+      if (booking && booking.status !== "cancelled") {
+        await transitionBooking(booking, "cancelled", SYSTEM_ACTOR, {
+          reason: "Payment refunded in Stripe",
+        });
+      }
+    }
+  }
+};
+
+// Refund part of a payment through Stripe and note it on the payment.
+// amount is in USD.
+const refundPayment = async (payment, amount, { reason, refundedBy }) => {
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: payment.transactionId,
+      amount: Math.round(amount * 100),
+      metadata: { bookingId: String(payment.bookingId) },
+    },
+    // Retrying the same refund must not pay out twice
+    {
+      idempotencyKey: `refund-${payment.transactionId}-${payment.bookingId}-${
+        (payment.refunds || []).length
+      }`,
+    }
+  );
+
+  const refundedAmount = roundCurrency((payment.refundedAmount || 0) + amount);
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    {
+      $push: {
+        refunds: {
+          refundId: refund.id,
+          amount,
+          reason,
+          refundedBy,
+          createdAt: new Date(),
+        },
+      },
+      $max: { refundedAmount },
+      $set: {
+        status:
+          refundedAmount >= payment.amount ? "refunded" : "partially_refunded",
+        refundedAt: new Date(),
+      },
+    }
+  );
+
+  return refund;
+};
+
+const handleStripeEvent = async (event) => {
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      await recordSucceededPayment(event.data.object);
+      break;
+    case "payment_intent.payment_failed":
+      await recordFailedPayment(event.data.object);
+      break;
+    case "charge.refunded":
+      await recordRefundedCharge(event.data.object);
+      break;
+    case "customer.subscription.created":
+    case "customer.subscription.updated":
+    case "customer.subscription.deleted":
+      await syncSubscription(event.data.object);
+      break;
+    default:
+      // Anything else we subscribed to is acknowledged and ignored
+      break;
+  }
+};
+
+// --------------------------
+// MongoDB Connection
+// --------------------------
+
+// Unique indexes the data can't do without. The server doesn't start
+// without them; hint says how to clean up data that breaks one.
+const requireUniqueIndex = async (collection, keys, options, hint) => {
+  try {
+    await collection.createIndex(keys, { ...options, unique: true });
+  } catch (err) {
+    console.error(
+      `Unique index ${JSON.stringify(keys)} on ${
+        collection.collectionName
+      } could not be built. ${hint}.`,
+      err
+    );
+    process.exit(1);
+  }
+};
+
+async function connectDB() {
+  try {
+    await client.connect();
+    console.log("✅ Connected to MongoDB");
+    const db = client.db("SportDB");
+    courtsCollection = db.collection("courts");
+    bookingsCollection = db.collection("bookings");
+    usersCollection = db.collection("users");
+    couponsCollection = db.collection("coupons");
+    announcementsCollection = db.collection("announcements");
+    announcementReadsCollection = db.collection("announcementReads");
+    paymentsCollection = db.collection("payments");
+    slotReservationsCollection = db.collection("slotReservations");
+
+    // One reservation per court/date/slot is what stops double bookings
+    await slotReservationsCollection.createIndex(
+      { courtId: 1, date: 1, slot: 1 },
+      { unique: true }
+    );
+    await slotReservationsCollection.createIndex({ bookingId: 1 });
+    await syncSlotReservations();
+
+    bookingSeriesCollection = db.collection("bookingSeries");
+    await bookingsCollection.createIndex({ seriesId: 1 });
+
+    waitlistCollection = db.collection("waitlist");
+    await waitlistCollection.createIndex({
+      courtId: 1,
+      date: 1,
+      slot: 1,
+      status: 1,
+      createdAt: 1,
+    });
+    // A user waits at most once for the same slot
+    await waitlistCollection.createIndex(
+      { courtId: 1, date: 1, slot: 1, userEmail: 1 },
+      { unique: true, partialFilterExpression: { status: "waiting" } }
+    );
+
+    couponRedemptionsCollection = db.collection("couponRedemptions");
+    // One redemption per payment, however often the payment is recorded
+    await couponRedemptionsCollection.createIndex(
+      { transactionId: 1 },
+      { unique: true }
+    );
+    await couponRedemptionsCollection.createIndex({
+      couponId: 1,
+      userEmail: 1,
+    });
+    // Coupons from before the redemptions counter get theirs, so the coupon
+    // list can leave out used-up coupons in Mongo
+    const uncounted = await couponsCollection
+      .find({ redemptions: { $exists: false } })
+      .project({ _id: 1 })
+      .toArray();
+    for (const { _id } of uncounted) {
+      await couponsCollection.updateOne(
+        { _id, redemptions: { $exists: false } },
+        {
+          $set: {
+            redemptions: await couponRedemptionsCollection.countDocuments({
+              couponId: _id,
+            }),
+          },
+        }
+      );
+    }
+
+    // Each user reads an announcement once
+    await announcementReadsCollection.createIndex(
+      { announcementId: 1, email: 1 },
+      { unique: true }
+    );
+    await announcementsCollection.createIndex({ notifiedAt: 1, publishAt: 1 });
+    // Older announcements have no pinned or priority, and Mongo would sort
+    // them after every unpinned one
+    await announcementsCollection.updateMany(
+      { pinned: { $exists: false } },
+      { $set: { pinned: false } }
+    );
+    await announcementsCollection.updateMany(
+      { priority: { $exists: false } },
+      { $set: { priority: 0 } }
+    );
+
+    courtClosuresCollection = db.collection("courtClosures");
+    await courtClosuresCollection.createIndex({ courtId: 1, startDate: 1 });
+
+    pricingRulesCollection = db.collection("pricingRules");
+
+    venuesCollection = db.collection("venues");
+    countersCollection = db.collection("counters");
+    membershipPlansCollection = db.collection("membershipPlans");
+
+    auditCollection = db.collection("audit");
+    await auditCollection.createIndex({ at: -1 });
+    await auditCollection.createIndex({ targetId: 1, at: -1 });
+    await auditCollection.createIndex({ "actor.email": 1, at: -1 });
+    await usersCollection.createIndex(
+      { "membership.subscriptionId": 1 },
+      { sparse: true }
+    );
+    await paymentsCollection.createIndex(
+      { receiptNumber: 1 },
+      { unique: true, sparse: true }
+    );
+    await courtsCollection.createIndex({ venueId: 1 });
+
+    // Feed tokens are looked up by their hash
+    await usersCollection.createIndex(
+      { calendarTokenHash: 1 },
+      { unique: true, sparse: true }
+    );
+    await courtsCollection.createIndex(
+      { calendarTokenHash: 1 },
+      { unique: true, sparse: true }
+    );
+
+    idempotencyKeysCollection = db.collection("idempotencyKeys");
+    await idempotencyKeysCollection.createIndex(
+      { email: 1, route: 1, key: 1 },
+      { unique: true }
+    );
+    await idempotencyKeysCollection.createIndex(
+      { createdAt: 1 },
+      { expireAfterSeconds: IDEMPOTENCY_KEY_HOURS * 60 * 60 }
+    );
+
+    // One payment row per booking a Stripe payment covers, and one row per
+    // Stripe payment unless it covers a series. Without these a replayed
+    // payment could be recorded twice.
+    await requireUniqueIndex(
+      paymentsCollection,
+      { transactionId: 1, bookingId: 1 },
+      {},
+      "Remove duplicate payment rows first: npm run payments:dedupe"
+    );
+    await requireUniqueIndex(
+      paymentsCollection,
+      { transactionId: 1 },
+      {
+        name: "transactionId_single",
+        partialFilterExpression: { coversSeries: false },
+      },
+      "Remove duplicate payment rows first: npm run payments:dedupe"
+    );
+    // Coupons are looked up by code
+    await requireUniqueIndex(
+      couponsCollection,
+      { code: 1 },
+      {},
+      "Rename coupons that share a code first"
+    );
+  } catch (err) {
+    console.error("MongoDB connection failed:", err);
+  }
+
+  // --------------------------
+  // API Routes
+  // --------------------------
+  app.get("/", (req, res) => {
+    res.send("Server is running with MongoDB connected");
+  });
+
+  // --------------------------
+  // COURTS CRUD
+  // --------------------------
+
+  // GET courts, paged and filtered (see LIST_SPECS). ?archived=true lists
+  // the archived ones instead, for admins and venue managers.
+  app.get("/courts", identifyRequester, async (req, res) => {
+    try {
+      const { archived, ...query } = req.query;
+      const listQuery = parseListQuery(query, LIST_SPECS.courts);
+      if (listQuery.error) {
+        return res.status(400).send({ error: listQuery.error });
+      }
+
+      if (archived === "true") {
+        if (!["admin", "venue-manager"].includes(req.requester?.role)) {
+          return res.status(403).send({ error: "Forbidden: Access denied" });
+        }
+        return res.send(
+          await listPage(courtsCollection, listQuery, {
+            archivedAt: { $ne: null },
+          })
+        );
+      }
+      res.send(
+        await listPage(courtsCollection, listQuery, { archivedAt: null })
+      );
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch courts" });
+    }
+  });
+
+  // GET free and taken slots of a court for a date
+  app.get("/courts/:id/availability", async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { date } = req.query;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid court ID" });
+      }
+      if (!date) {
+        return res.status(400).send({ error: "Date is required" });
+      }
+
+      const court = await courtsCollection.findOne({ _id: new ObjectId(id) });
+      if (!court) {
+        return res.status(404).send({ error: "Court not found" });
+      }
+      if (court.archivedAt) {
+        return res.status(409).send({ error: "Court is archived" });
+      }
+
+      const bookings = await bookingsCollection
+        .find({ courtId: id, date, status: { $in: ACTIVE_BOOKING_STATUSES } })
+        .project({ slots: 1 })
+        .toArray();
+      const takenSlots = new Set(bookings.flatMap((booking) => booking.slots));
+
+      const offeredSlots = scheduledSlots(court, date);
+      const closures = await findClosures(id, date);
+      const closed = new Set(closedSlots(offeredSlots, closures, date));
+
+      const slots = offeredSlots.map((slot) => ({
+        slot,
+        available: !takenSlots.has(slot) && !closed.has(slot),
+        closed: closed.has(slot),
+      }));
+
+      res.send({
+        courtId: id,
+        date,
+        slots,
+        available: slots.filter((s) => s.available).map((s) => s.slot),
+        taken: slots.filter((s) => takenSlots.has(s.slot)).map((s) => s.slot),
+        closed: [...closed],
+        closures: closures.map(({ _id, startTime, endTime, kind, reason }) => ({
+          _id,
+          startTime,
+          endTime,
+          kind,
+          reason,
+        })),
+      });
+    } catch (error) {
+      console.error("Error fetching court availability:", error);
+      res.status(500).send({ error: "Failed to fetch availability" });
+    }
+  });
+
+  // POST new court
+  app.post(
+    "/courts",
+    verifyFirebaseToken,
+    authorize("admin", venueBody),
+    validateBody(schemas.court),
+    audit("court.create", courtsCollection, () => null),
+    async (req, res) => {
+      try {
+        const newCourt = req.body;
+        const venueError = await checkVenueChange(
+          req.requester,
+          newCourt.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+        const scheduleError = checkSchedule(newCourt);
+        if (scheduleError) {
+          return res.status(400).send({ error: scheduleError });
+        }
+
+        const result = await courtsCollection.insertOne(newCourt);
+        res.locals.auditTargetId = result.insertedId;
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to add court" });
+      }
+    }
+  );
+
+  // What archiving a court would affect
+  app.get(
+    "/courts/:id/archive-impact",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    async (req, res) => {
+      try {
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+        res.send(await courtArchiveImpact(court));
+      } catch (error) {
+        console.error("Error building archive impact:", error);
+        res.status(500).send({ error: "Failed to check court bookings" });
+      }
+    }
+  );
+
+  // Archive a court. Its bookings and history stay, it just can't be booked
+  // or listed any more. Upcoming bookings block this unless
+  // ?onBookings=cancel, which cancels them with a full refund (the users
+  // are notified) and can be run again to retry any that failed. ?reason=
+  // goes on the court and the cancellations.
+  app.delete(
+    "/courts/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    audit("court.archive", courtsCollection),
+    async (req, res) => {
+      try {
+        const { onBookings = "block", reason } = req.query;
+        if (!["block", "cancel"].includes(onBookings)) {
+          return res
+            .status(400)
+            .send({ error: "onBookings must be block or cancel" });
+        }
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+        if (court.archivedAt && onBookings === "block") {
+          return res.status(409).send({ error: "Court is already archived" });
+        }
+
+        const impact = await courtArchiveImpact(court);
+        if (impact.bookingCount > 0 && onBookings === "block") {
+          return res
+            .status(409)
+            .send({ error: "Court has upcoming bookings", impact });
+        }
+
+        // Archive first so nothing new is booked while we cancel
+        await courtsCollection.updateOne(
+          { _id: court._id, archivedAt: null },
+          {
+            $set: {
+              archivedAt: new Date(),
+              archivedBy: req.decoded.email,
+              archiveReason: reason || null,
+            },
+          }
+        );
+
+        const cancelled = [];
+        const failed = [];
+        for (const { _id } of impact.bookings) {
+          const booking = await bookingsCollection.findOne({ _id });
+          if (!booking || !ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+            continue;
+          }
+          try {
+            const result = await cancelBooking(
+              booking,
+              await getBookingActor(req, booking),
+              {
+                reason: reason || "Court is no longer available",
+                refundPercent: 100,
+              }
+            );
+            if (result.error) {
+              failed.push({ bookingId: _id, error: result.error });
+            } else {
+              cancelled.push({ bookingId: _id, refund: result.refund });
+            }
+          } catch (error) {
+            console.error(`Error cancelling booking ${_id}:`, error);
+            failed.push({ bookingId: _id, error: "Failed to cancel booking" });
+          }
+        }
+
+        // Nobody is getting a slot here any more
+        await waitlistCollection.updateMany(
+          { courtId: String(court._id), status: "waiting" },
+          { $set: { status: "failed", error: "Court is archived" } }
+        );
+        if (onBookings === "cancel") {
+          res.locals.auditDetails = cancellationAuditDetails(cancelled, failed);
+        }
+
+        res.send({ success: true, archived: true, cancelled, failed });
+      } catch (error) {
+        console.error("Error archiving court:", error);
+        res.status(500).send({ error: "Failed to archive court" });
+      }
+    }
+  );
+
+  // Bring an archived court back. Cancelled bookings stay cancelled.
+  app.post(
+    "/courts/:id/restore",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    audit("court.restore", courtsCollection),
+    async (req, res) => {
+      try {
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+        if (!court.archivedAt) {
+          return res.status(409).send({ error: "Court is not archived" });
+        }
+
+        await courtsCollection.updateOne(
+          { _id: court._id },
+          { $unset: { archivedAt: "", archivedBy: "", archiveReason: "" } }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error restoring court:", error);
+        res.status(500).send({ error: "Failed to restore court" });
+      }
+    }
+  );
+
+  // UPDATE court by ID
+  app.put(
+    "/courts/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    validateBody(schemas.court, { partial: true }),
+    audit("court.update", courtsCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const updatedCourt = req.body;
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+        const venueError = await checkVenueChange(
+          req.requester,
+          updatedCourt.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+        const scheduleError = checkSchedule({ ...court, ...updatedCourt });
+        if (scheduleError) {
+          return res.status(400).send({ error: scheduleError });
+        }
+
+        await courtsCollection.updateOne(
+          { _id: court._id },
+          { $set: updatedCourt }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to update court" });
+      }
+    }
+  );
+
+  // --------------------------
+  // VENUES
+  // --------------------------
+
+  // GET venues, paged and filtered
+  app.get("/venues", async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, LIST_SPECS.venues);
+      if (listQuery.error) {
+        return res.status(400).send({ error: listQuery.error });
+      }
+
+      res.send(await listPage(venuesCollection, listQuery));
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch venues" });
+    }
+  });
+
+  // GET a venue with its courts
+  app.get("/venues/:id", validateIdParams("id"), async (req, res) => {
+    try {
+      const venue = await venuesCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!venue) {
+        return res.status(404).send({ error: "Venue not found" });
+      }
+
+      const courts = await courtsCollection
+        .find({ venueId: req.params.id })
+        .toArray();
+      res.send({ ...venue, courts });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch venue" });
+    }
+  });
+
+  // POST new venue (Admin)
+  app.post(
+    "/venues",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateBody(schemas.venue),
+    audit("venue.create", venuesCollection, () => null),
+    async (req, res) => {
+      try {
+        const result = await venuesCollection.insertOne({
+          ...req.body,
+          createdAt: new Date(),
+        });
+        res.locals.auditTargetId = result.insertedId;
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to add venue" });
+      }
+    }
+  );
+
+  // UPDATE venue by ID (Admin)
+  app.put(
+    "/venues/:id",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    validateBody(schemas.venue, { partial: true }),
+    audit("venue.update", venuesCollection),
+    async (req, res) => {
+      try {
+        const result = await venuesCollection.updateOne(
+          { _id: new ObjectId(req.params.id) },
+          { $set: req.body }
+        );
+
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ error: "Venue not found" });
+        }
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to update venue" });
+      }
+    }
+  );
+
+  // DELETE venue by ID (Admin). Its courts have to be moved or removed first.
+  app.delete(
+    "/venues/:id",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    audit("venue.delete", venuesCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const courtCount = await courtsCollection.countDocuments({
+          venueId: id,
+        });
+        if (courtCount > 0) {
+          return res
+            .status(409)
+            .send({ error: "Venue still has courts", courtCount });
+        }
+
+        const result = await venuesCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+        if (result.deletedCount === 0) {
+          return res.status(404).send({ error: "Venue not found" });
+        }
+
+        // Nobody manages a venue that is gone
+        await usersCollection.updateMany(
+          { venueIds: id },
+          { $pull: { venueIds: id } }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to delete venue" });
+      }
+    }
+  );
+
+  // --------------------------
+  // COURT CLOSURES
+  // --------------------------
+
+  // Upcoming closures of a court, or all of them with ?all=true
+  app.get("/courts/:id/closures", validateIdParams("id"), async (req, res) => {
+    try {
+      const filter = { courtId: req.params.id };
+      if (req.query.all !== "true") {
+        filter.endDate = { $gte: formatDate(new Date()) };
+      }
+
+      const closures = await courtClosuresCollection
+        .find(filter)
+        .sort({ startDate: 1, startTime: 1 })
+        .toArray();
+      res.send(closures);
+    } catch (error) {
+      console.error("Error fetching closures:", error);
+      res.status(500).send({ error: "Failed to fetch closures" });
+    }
+  });
+
+  // Close a court for whole days or part of each day (Admin). Bookings the
+  // closure overlaps are flagged and sent back.
+  app.post(
+    "/courts/:id/closures",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    validateBody(schemas.closure),
+    audit("closure.create", courtClosuresCollection, () => null),
+    async (req, res) => {
+      try {
+        const courtId = req.params.id;
+        const closureError = checkClosure(req.body);
+        if (closureError) {
+          return res.status(400).send({ error: closureError });
+        }
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(courtId),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+
+        const closure = {
+          courtId,
+          startDate: req.body.startDate,
+          endDate: req.body.endDate || req.body.startDate,
+          startTime: req.body.startTime || null,
+          endTime: req.body.endTime || null,
+          kind: req.body.kind || "maintenance",
+          reason: req.body.reason || null,
+          createdBy: req.decoded.email,
+          createdAt: new Date(),
+        };
+        const result = await courtClosuresCollection.insertOne(closure);
+        res.locals.auditTargetId = result.insertedId;
+
+        const conflicts = await flagClosureConflicts(closure);
+        res.send({
+          success: true,
+          insertedId: result.insertedId,
+          conflicts,
+        });
+      } catch (error) {
+        console.error("Error adding closure:", error);
+        res.status(500).send({ error: "Failed to add closure" });
+      }
+    }
+  );
+
+  // Reopen a court (Admin). Flags the closure put on bookings are cleared.
+  app.delete(
+    "/courts/:id/closures/:closureId",
+    verifyFirebaseToken,
+    validateIdParams("id", "closureId"),
+    authorize("admin", courtVenue),
+    audit(
+      "closure.delete",
+      courtClosuresCollection,
+      (req) => req.params.closureId
+    ),
+    async (req, res) => {
+      try {
+        const closureId = new ObjectId(req.params.closureId);
+        const result = await courtClosuresCollection.deleteOne({
+          _id: closureId,
+          courtId: req.params.id,
+        });
+        if (result.deletedCount === 0) {
+          return res.status(404).send({ error: "Closure not found" });
+        }
+
+        await bookingsCollection.updateMany(
+          { "closureConflicts.closureId": closureId },
+          { $pull: { closureConflicts: { closureId } } }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error deleting closure:", error);
+        res.status(500).send({ error: "Failed to delete closure" });
+      }
+    }
+  );
+
+  // --------------------------
+  // BOOKING SECTION
+  // --------------------------
+
+  // Create a new booking (User)
+  app.post(
+    "/bookings",
+    verifyFirebaseToken,
+    validateBody(schemas.booking),
+    async (req, res) => {
+      try {
+        const { courtId, date, slots, couponCode } = req.body;
+        // Always book for the signed-in user, whatever the body says
+        const userEmail = req.decoded.email;
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(courtId),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+
+        const created = await createBooking({
+          court,
+          userEmail,
+          date,
+          slots,
+          couponCode,
+        });
+        if (created.error) {
+          const { status: errorStatus, ...body } = created;
+          return res.status(errorStatus).send(body);
+        }
+
+        res.send({ success: true, insertedId: created.booking._id });
+      } catch (error) {
+        console.error("Error creating booking:", error);
+        res.status(500).send({ error: "Failed to create booking" });
+      }
+    }
+  );
+
+  // Get all bookings, paged and filtered (Admin)
+  app.get(
+    "/bookings",
+    verifyFirebaseToken,
+    authorize("admin", "venue-manager"),
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.bookings);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        res.send(
+          await listPage(
+            bookingsCollection,
+            listQuery,
+            await bookingScope(req.requester)
+          )
+        );
+      } catch (error) {
+        res.status(500).send({ error: "Failed to fetch bookings" });
+      }
+    }
+  );
+
+  // Change a booking's status (Admin or booking owner, see bookingStatus.js)
+  app.patch(
+    "/bookings/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", bookingParam, bookingVenue),
+    validateBody(schemas.statusChange),
+    audit("booking.status", bookingsCollection),
+    async (req, res) => {
+      try {
+        const bookingId = req.params.id;
+        const { status, reason } = req.body;
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+
+        if (!booking) {
+          return res.status(404).send({ error: "Booking not found" });
+        }
+
+        const actor = await getBookingActor(req, booking);
+        const transition = await transitionBooking(booking, status, actor, {
+          reason: reason || null,
+        });
+        if (transition.error) {
+          return res
+            .status(transition.status)
+            .send({ error: transition.error });
+        }
+
+        res.send({ message: `Booking ${status} successfully.` });
+      } catch (error) {
+        console.error("Error updating booking:", error);
+        res.status(500).send({ error: "Failed to update booking" });
+      }
+    }
+  );
+
+  // Get approved bookings for a user
+  app.get(
+    "/bookings/approved/:email",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const userEmail = req.params.email;
+        const approvedBookings = await bookingsCollection
+          .find({ userEmail, status: "approved" })
+          .toArray();
+
+        res.send(approvedBookings);
+      } catch (error) {
+        console.error("Error fetching approved bookings:", error);
+        res.status(500).send({ error: "Failed to fetch approved bookings" });
+      }
+    }
+  );
+
+  // get paid bookings
+  app.get(
+    "/bookings/paid/:email",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const userEmail = req.params.email;
+        const paidBookings = await bookingsCollection
+          .find({ userEmail, status: "paid" })
+          .toArray();
+
+        res.send(paidBookings);
+      } catch (error) {
+        console.error("Error fetching paid bookings:", error);
+        res.status(500).send({ error: "Failed to fetch paid bookings" });
+      }
+    }
+  );
+
+  // Get pending bookings for a user
+  app.get(
+    "/bookings/pending/:email",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const userEmail = req.params.email;
+        const bookings = await bookingsCollection
+          .find({ userEmail, status: "pending" })
+          .toArray();
+        res.send(bookings);
+      } catch (error) {
+        console.error("Error fetching pending bookings:", error);
+        res.status(500).send({ error: "Failed to fetch pending bookings" });
+      }
+    }
+  );
+
+  app.get(
+    "/bookings/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", bookingParam, bookingVenue),
+    async (req, res) => {
+      try {
+        const bookingId = req.params.id;
+
+        if (!ObjectId.isValid(bookingId)) {
+          return res.status(400).send({ error: "Invalid booking ID" });
+        }
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+
+        if (!booking) {
+          return res.status(404).send({ error: "Booking not found" });
+        }
+
+        res.send(booking);
+      } catch (error) {
+        console.error("Error fetching booking by ID:", error);
+        res.status(500).send({ error: "Failed to fetch booking" });
+      }
+    }
+  );
+
+  // Cancel a booking, refunding paid ones under the cancellation policy.
+  // Admins can send refundPercent to override the policy.
+  app.post(
+    "/bookings/:id/cancel",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", bookingParam, bookingVenue),
+    validateBody(schemas.cancellation),
+    audit("booking.cancel", bookingsCollection),
+    async (req, res) => {
+      try {
+        const bookingId = req.params.id;
+        const { reason, refundPercent } = req.body;
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+        if (!booking) {
+          return res.status(404).send({ error: "Booking not found" });
+        }
+
+        const actor = await getBookingActor(req, booking);
+        const result = await cancelBooking(booking, actor, {
+          reason,
+          refundPercent,
+        });
+        if (result.error) {
+          return res.status(result.status).send({ error: result.error });
+        }
+        // refund.status is "failed" when Stripe didn't take the refund
+        const { refund } = result;
+
+        res.send({ success: true, status: "cancelled", refund });
+      } catch (error) {
+        console.error("Error cancelling booking:", error);
+        res.status(500).send({ error: "Failed to cancel booking" });
+      }
+    }
+  );
+
+  // --------------------------
+  // RECURRING BOOKINGS
+  // --------------------------
+
+  // Load a series for its owner or an admin, or send the error
+  const loadSeriesForRequester = async (req, res) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      res.status(400).send({ error: "Invalid series ID" });
+      return null;
+    }
+
+    const series = await bookingSeriesCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!series) {
+      res.status(404).send({ error: "Series not found" });
+      return null;
+    }
+
+    const actor = await getBookingActor(req, series);
+    if (actor.roles.length === 0) {
+      res.status(403).send({ error: "Forbidden: Access denied" });
+      return null;
+    }
+
+    return { series, actor };
+  };
+
+  // Create a weekly series of bookings. Dates whose slots are taken are
+  // skipped and reported, or with onConflict: "fail" nothing is booked.
+  app.post(
+    "/booking-series",
+    verifyFirebaseToken,
+    validateBody(schemas.bookingSeries),
+    async (req, res) => {
+      try {
+        const {
+          courtId,
+          slots,
+          weekday,
+          startDate,
+          endDate,
+          occurrences,
+          onConflict = "skip",
+        } = req.body;
+        const userEmail = req.decoded.email;
+
+        const schedule = seriesDates({
+          weekday,
+          startDate,
+          endDate,
+          occurrences,
+        });
+        if (schedule.error) {
+          return res.status(400).send({ error: schedule.error });
+        }
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(courtId),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+
+        if (onConflict === "fail") {
+          const taken = await slotReservationsCollection
+            .find({
+              courtId,
+              date: { $in: schedule.dates },
+              slot: { $in: slots },
+            })
+            .project({ _id: 0, date: 1, slot: 1 })
+            .toArray();
+          if (taken.length > 0) {
+            return res.status(409).send({
+              error: "Some dates are already booked",
+              conflicts: taken,
+            });
+          }
+        }
+
+        const series = {
+          _id: new ObjectId(),
+          userEmail,
+          courtId,
+          courtName: court.name || court.type,
+          slots: [...new Set(slots)],
+          weekday: schedule.weekday,
+          startDate,
+          endDate: endDate || null,
+          occurrences: occurrences || null,
+          createdAt: new Date(),
+        };
+
+        const created = [];
+        const skipped = [];
+        const bookings = [];
+        for (const date of schedule.dates) {
+          const result = await createBooking({
+            court,
+            userEmail,
+            date,
+            slots: series.slots,
+            extra: { seriesId: series._id },
+            // Nobody hears of the occurrences until the series stands
+            publishCreated: false,
+          });
+          if (result.error) {
+            skipped.push({ date, error: result.error, taken: result.taken });
+            continue;
+          }
+          created.push({ bookingId: result.booking._id, date });
+          bookings.push(result.booking);
+        }
+
+        // Someone got in between the check and the inserts, undo everything
+        if (onConflict === "fail" && skipped.length > 0) {
+          for (const { bookingId } of created) {
+            await bookingsCollection.deleteOne({ _id: bookingId });
+            await releaseSlots(bookingId);
+          }
+          return res.status(409).send({
+            error: "Some dates are already booked",
+            conflicts: skipped,
+          });
+        }
+        if (created.length === 0) {
+          return res
+            .status(409)
+            .send({ error: "None of the dates could be booked", skipped });
+        }
+
+        await bookingSeriesCollection.insertOne({ ...series, skipped });
+        for (const booking of bookings) {
+          publish(EVENTS.BOOKING_CREATED, { booking });
+        }
+        res.send({ success: true, seriesId: series._id, created, skipped });
+      } catch (error) {
+        console.error("Error creating booking series:", error);
+        res.status(500).send({ error: "Failed to create booking series" });
+      }
+    }
+  );
+
+  // Get a series with its occurrences
+  app.get("/booking-series/:id", verifyFirebaseToken, async (req, res) => {
+    try {
+      const loaded = await loadSeriesForRequester(req, res);
+      if (!loaded) return;
+
+      const bookings = await bookingsCollection
+        .find({ seriesId: loaded.series._id })
+        .sort({ date: 1 })
+        .toArray();
+      res.send({ ...loaded.series, bookings });
+    } catch (error) {
+      console.error("Error fetching booking series:", error);
+      res.status(500).send({ error: "Failed to fetch booking series" });
+    }
+  });
+
+  // Change the status of every occurrence that allows it, e.g. approve a
+  // whole series. Single occurrences use PATCH /bookings/:id.
+  app.patch(
+    "/booking-series/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", seriesParam, seriesVenue),
+    validateBody(schemas.statusChange),
+    audit("series.status", bookingSeriesCollection),
+    async (req, res) => {
+      try {
+        const { status, reason } = req.body;
+
+        const loaded = await loadSeriesForRequester(req, res);
+        if (!loaded) return;
+
+        const bookings = await bookingsCollection
+          .find({ seriesId: loaded.series._id })
+          .sort({ date: 1 })
+          .toArray();
+
+        const results = [];
+        for (const booking of bookings) {
+          if (booking.status === status) continue;
+          const transition = await transitionBooking(
+            booking,
+            status,
+            loaded.actor,
+            { reason: reason || null }
+          );
+          results.push({
+            bookingId: booking._id,
+            date: booking.date,
+            updated: !transition.error,
+            error: transition.error,
+          });
+        }
+        // The series document itself doesn't change
+        res.locals.auditDetails = {
+          status,
+          updated: results
+            .filter((result) => result.updated)
+            .map((result) => String(result.bookingId)),
+          failed: results
+            .filter((result) => !result.updated)
+            .map((result) => ({
+              bookingId: String(result.bookingId),
+              error: result.error,
+            })),
+        };
+
+        res.send({
+          updated: results.filter((result) => result.updated).length,
+          results,
+        });
+      } catch (error) {
+        console.error("Error updating booking series:", error);
+        res.status(500).send({ error: "Failed to update booking series" });
+      }
+    }
+  );
+
+  // Cancel every remaining occurrence, with refunds as for single bookings
+  app.post(
+    "/booking-series/:id/cancel",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", seriesParam, seriesVenue),
+    validateBody(schemas.cancellation),
+    audit("series.cancel", bookingSeriesCollection),
+    async (req, res) => {
+      try {
+        const { reason, refundPercent } = req.body;
+
+        const loaded = await loadSeriesForRequester(req, res);
+        if (!loaded) return;
+
+        const bookings = await bookingsCollection
+          .find({
+            seriesId: loaded.series._id,
+            status: { $in: ACTIVE_BOOKING_STATUSES },
+          })
+          .sort({ date: 1 })
+          .toArray();
+
+        const results = [];
+        for (const booking of bookings) {
+          const result = await cancelBooking(booking, loaded.actor, {
+            reason,
+            refundPercent,
+          });
+          results.push({
+            bookingId: booking._id,
+            date: booking.date,
+            cancelled: !result.error,
+            refund: result.refund || null,
+            error: result.error,
+          });
+        }
+        res.locals.auditDetails = cancellationAuditDetails(
+          results.filter((result) => result.cancelled),
+          results.filter((result) => !result.cancelled)
+        );
+
+        res.send({
+          cancelled: results.filter((result) => result.cancelled).length,
+          results,
+        });
+      } catch (error) {
+        console.error("Error cancelling booking series:", error);
+        res.status(500).send({ error: "Failed to cancel booking series" });
+      }
+    }
+  );
+
+  // One payment for every approved occurrence of a series
+  app.post(
+    "/booking-series/:id/payment-intent",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize(seriesParam),
+    validateBody({}),
+    async (req, res) => {
+      try {
+        const loaded = await loadSeriesForRequester(req, res);
+        if (!loaded) return;
+
+        const bookings = await bookingsCollection
+          .find({ seriesId: loaded.series._id, status: "approved" })
+          .toArray();
+        if (bookings.length === 0) {
+          return res
+            .status(400)
+            .send({ error: "No approved occurrences to pay for" });
+        }
+
+        const total = roundCurrency(
+          bookings.reduce((sum, booking) => sum + booking.totalPrice, 0)
+        );
+        const amount = Math.round(total * 100);
+        if (amount < 50) {
+          return res
+            .status(400)
+            .send({ error: "Booking total is too small to charge" });
+        }
+
+        // The intent from an earlier call is handed out again while it still
+        // covers exactly these occurrences. Otherwise it's cancelled, so it
+        // can't be paid for occurrences it no longer pays.
+        const previousIds = [
+          ...new Set(bookings.map((booking) => booking.paymentIntentId)),
+        ].filter(Boolean);
+        for (const previousId of previousIds) {
+          const open = await openPaymentIntent(previousId);
+          if (open.error) {
+            return res.status(open.status).send({ error: open.error });
+          }
+          if (!open.intent) continue;
+          const covered = await bookingsCollection.countDocuments({
+            paymentIntentId: previousId,
+          });
+          if (
+            previousIds.length === 1 &&
+            bookings.every((booking) => booking.paymentIntentId) &&
+            covered === bookings.length &&
+            open.intent.amount === amount
+          ) {
+            return res.send({
+              clientSecret: open.intent.client_secret,
+              total,
+              bookingIds: bookings.map((booking) => booking._id),
+            });
+          }
+          await stripe.paymentIntents.cancel(previousId);
+        }
+
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount,
+          currency: "usd",
+          payment_method_types: ["card"],
+          metadata: {
+            seriesId: String(loaded.series._id),
+            userEmail: loaded.series.userEmail,
+          },
+        });
+
+        // The webhook pays exactly the occurrences tagged here
+        await bookingsCollection.updateMany(
+          { _id: { $in: bookings.map((booking) => booking._id) } },
+          { $set: { paymentIntentId: paymentIntent.id } }
+        );
+
+        res.send({
+          clientSecret: paymentIntent.client_secret,
+          total,
+          bookingIds: bookings.map((booking) => booking._id),
+        });
+      } catch (error) {
+        console.error("Error creating series payment intent:", error);
+        res.status(500).send({ error: "Failed to create payment intent" });
+      }
+    }
+  );
+
+  // --------------------------
+  // WAITLIST
+  // --------------------------
+
+  // Queue for a taken slot
+  app.post(
+    "/courts/:id/waitlist",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    validateBody(schemas.waitlistEntry),
+    async (req, res) => {
+      try {
+        const courtId = req.params.id;
+        const { date, slot } = req.body;
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(courtId),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+        if (court.archivedAt) {
+          return res.status(409).send({ error: "Court is archived" });
+        }
+        if (!scheduledSlots(court, date).includes(slot)) {
+          return res
+            .status(400)
+            .send({ error: "Court does not offer this slot" });
+        }
+        const closures = await findClosures(courtId, date);
+        if (closedSlots([slot], closures, date).length > 0) {
+          return res
+            .status(400)
+            .send({ error: "Court is closed for this slot" });
+        }
+
+        const reservation = await slotReservationsCollection.findOne({
+          courtId,
+          date,
+          slot,
+        });
+        if (!reservation) {
+          return res
+            .status(409)
+            .send({ error: "Slot is available, book it instead" });
+        }
+
+        const entry = {
+          courtId,
+          courtName: court.name || court.type,
+          date,
+          slot,
+          userEmail: req.decoded.email,
+          status: "waiting",
+          createdAt: new Date(),
+        };
+        try {
+          const result = await waitlistCollection.insertOne(entry);
+          entry._id = result.insertedId;
+        } catch (error) {
+          if (error.code === 11000) {
+            return res
+              .status(409)
+              .send({ error: "You are already on the waitlist for this slot" });
+          }
+          throw error;
+        }
+
+        const position = await waitlistCollection.countDocuments({
+          courtId,
+          date,
+          slot,
+          status: "waiting",
+          createdAt: { $lte: entry.createdAt },
+        });
+        res.send({ success: true, insertedId: entry._id, position });
+      } catch (error) {
+        console.error("Error joining waitlist:", error);
+        res.status(500).send({ error: "Failed to join waitlist" });
+      }
+    }
+  );
+
+  // List my waitlist entries, with my place in each queue
+  app.get("/waitlist", verifyFirebaseToken, async (req, res) => {
+    try {
+      const entries = await waitlistCollection
+        .find({ userEmail: req.decoded.email, status: { $ne: "left" } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      const withPositions = await Promise.all(
+        entries.map(async (entry) => {
+          if (entry.status !== "waiting") return entry;
+          const position = await waitlistCollection.countDocuments({
+            courtId: entry.courtId,
+            date: entry.date,
+            slot: entry.slot,
+            status: "waiting",
+            createdAt: { $lte: entry.createdAt },
+          });
+          return { ...entry, position };
+        })
+      );
+      res.send(withPositions);
+    } catch (error) {
+      console.error("Error fetching waitlist:", error);
+      res.status(500).send({ error: "Failed to fetch waitlist" });
+    }
+  });
+
+  // Leave a waitlist
+  app.delete(
+    "/waitlist/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const result = await waitlistCollection.updateOne(
+          {
+            _id: new ObjectId(id),
+            userEmail: req.decoded.email,
+            status: "waiting",
+          },
+          { $set: { status: "left", leftAt: new Date() } }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ error: "Waitlist entry not found" });
+        }
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error leaving waitlist:", error);
+        res.status(500).send({ error: "Failed to leave waitlist" });
+      }
+    }
+  );
+
+  // Queue depth per court, broken down by date and slot (Admin)
+  app.get(
+    "/admin/waitlist",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const queues = await waitlistCollection
+          .aggregate([
+            { $match: { status: "waiting" } },
+            {
+              $group: {
+                _id: { courtId: "$courtId", date: "$date", slot: "$slot" },
+                courtName: { $first: "$courtName" },
+                waiting: { $sum: 1 },
+              },
+            },
+            { $sort: { "_id.date": 1, "_id.slot": 1 } },
+            {
+              $group: {
+                _id: "$_id.courtId",
+                courtName: { $first: "$courtName" },
+                waiting: { $sum: "$waiting" },
+                slots: {
+                  $push: {
+                    date: "$_id.date",
+                    slot: "$_id.slot",
+                    waiting: "$waiting",
+                  },
+                },
+              },
+            },
+            { $sort: { waiting: -1 } },
+          ])
+          .toArray();
+
+        res.send(
+          queues.map(({ _id, ...queue }) => ({ courtId: _id, ...queue }))
+        );
+      } catch (error) {
+        console.error("Error fetching waitlist queues:", error);
+        res.status(500).send({ error: "Failed to fetch waitlist queues" });
+      }
+    }
+  );
+
+  // Delete a booking
+  app.delete(
+    "/bookings/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", bookingParam, bookingVenue),
+    audit("booking.delete", bookingsCollection),
+    async (req, res) => {
+      try {
+        const bookingId = req.params.id;
+
+        // Paid bookings carry money and history, they go through cancel instead
+        const result = await bookingsCollection.deleteOne({
+          _id: new ObjectId(bookingId),
+          status: { $nin: ["paid", "confirmed", "completed"] },
+        });
+
+        if (result.deletedCount === 0) {
+          const exists = await bookingsCollection.countDocuments({
+            _id: new ObjectId(bookingId),
+          });
+          if (exists) {
+            return res.status(409).send({
+              error: "Paid bookings can't be deleted, cancel them instead",
+            });
+          }
+          return res.status(404).send({ error: "Booking not found" });
+        }
+
+        await releaseSlots(bookingId);
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error deleting booking:", error);
+        res.status(500).send({ error: "Failed to delete booking" });
+      }
+    }
+  );
+
+  // --------------------------
+  // USER Role Related
+  // --------------------------
+
+  app.get(
+    "/users/:email/role",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const email = req.params.email;
+
+        if (!email) {
+          return res.status(400).send({ error: "Email is required" });
+        }
+
+        const user = await usersCollection.findOne({ email });
+
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.send({ role: user.role || "user" });
+      } catch (error) {
+        console.error("Error getting user role:", error);
+        res.status(500).send({ error: "Failed to get role" });
+      }
+    }
+  );
+
+  // GET All Users, paged and filtered
+  app.get("/users", verifyFirebaseToken, verifyAdmin, async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, LIST_SPECS.users);
+      if (listQuery.error) {
+        return res.status(400).send({ error: listQuery.error });
+      }
+
+      res.send(await listPage(usersCollection, listQuery));
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch users" });
+    }
+  });
+
+  // Register the signed-in user. Roles are only ever set by admins.
+  app.post(
+    "/users",
+    verifyFirebaseToken,
+    validateBody(schemas.user),
+    async (req, res) => {
+      const email = req.decoded.email;
+      const userExists = await usersCollection.findOne({ email });
+      if (userExists) {
+        // update last log in
+        return res
+          .status(200)
+          .send({ message: "User already exists", inserted: false });
+      }
+      const { role, memberSince, _id, ...profile } = req.body;
+      const user = { ...profile, email, role: "user" };
+      const result = await usersCollection.insertOne(user);
+      res.send(result);
+    }
+  );
+
+  app.patch(
+    "/users/:id/role",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    validateBody(schemas.roleChange),
+    audit("user.role", usersCollection),
+    async (req, res) => {
+      const { id } = req.params;
+      const { role, venueIds } = req.body;
+
+      try {
+        let update = { $set: { role }, $unset: { venueIds: "" } };
+        if (role === "venue-manager") {
+          if (!venueIds?.length) {
+            return sendValidationError(res, [
+              { field: "venueIds", message: "is required for venue managers" },
+            ]);
+          }
+          const found = await venuesCollection.countDocuments({
+            _id: { $in: venueIds.map((venueId) => new ObjectId(venueId)) },
+          });
+          if (found !== new Set(venueIds).size) {
+            return res.status(400).send({ error: "Venue not found" });
+          }
+          update = { $set: { role, venueIds: [...new Set(venueIds)] } };
+        }
+
+        const result = await usersCollection.updateOne(
+          { _id: new ObjectId(id) },
+          update
+        );
+        res.send({ message: `User role updated to ${role}`, result });
+      } catch (error) {
+        console.error("Error updating user role", error);
+        res.status(500).send({ error: "Failed to update user role" });
+      }
+    }
+  );
+
+  app.get(
+    "/users/members",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.users);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        res.send(
+          await listPage(usersCollection, listQuery, { role: "member" })
+        );
+      } catch (error) {
+        res.status(500).send({ error: "Failed to fetch members" });
+      }
+    }
+  );
+
+  // app.get(
+  //   "/users/:email",
+  //   verifyFirebaseToken,
+  //   verifyAdmin,
+  //   async (req, res) => {
+  //     const { email } = req.params;
+  //     try {
+  //       const user = await usersCollection.findOne({ email });
+  //       if (!user) {
+  //         return res.status(404).send({ message: "User not found" });
+  //       }
+  //       res.send(user);
+  //     } catch (error) {
+  //       console.error("Error fetching user:", error);
+  //       res.status(500).send({ message: "Failed to fetch user" });
+  //     }
+  //   }
+  // );
+  // GET a single user by email (the user themselves or an admin)
+  app.get(
+    "/users/:email",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.params.email,
+        });
+
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.send(user);
+      } catch (error) {
+        console.error("Error fetching user:", error);
+        res.status(500).send({ error: "Failed to fetch user" });
+      }
+    }
+  );
+
+  // --------------------------
+  // COUPONS CRUD
+  // --------------------------
+
+  // GET coupons: everything plus usage for admins (venue managers: their
+  // venues' coupons), otherwise only the coupons the caller could use right
+  // now. Paged and filtered.
+  app.get("/coupons", verifyFirebaseToken, async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, LIST_SPECS.coupons);
+      if (listQuery.error) {
+        return res.status(400).send({ error: listQuery.error });
+      }
+
+      const requester = await usersCollection.findOne({
+        email: req.decoded.email,
+      });
+      const isManager = requester?.role === "venue-manager";
+      const isAdmin = requester?.role === "admin" || isManager;
+
+      // Everyone else sees the coupons they could use, without the limits
+      // and usage behind them
+      if (!isAdmin) {
+        const page = await listPage(
+          couponsCollection,
+          listQuery,
+          availableCouponsFilter(requester?.role)
+        );
+        return res.send({
+          ...page,
+          items: page.items.map((coupon) => ({
+            _id: coupon._id,
+            code: coupon.code,
+            type: coupon.type || "fixed",
+            discount: coupon.discount,
+            expiry: coupon.expiry,
+            minSpend: coupon.minSpend || 0,
+            courtTypes: coupon.courtTypes || [],
+            membersOnly: coupon.membersOnly || false,
+            createdAt: coupon.createdAt,
+          })),
+        });
+      }
+
+      const coupons = await listPage(
+        couponsCollection,
+        listQuery,
+        isManager ? { venueId: { $in: requester.venueIds || [] } } : {}
+      );
+
+      const usage = await couponRedemptionsCollection
+        .aggregate([
+          {
+            $match: {
+              couponId: { $in: coupons.items.map((coupon) => coupon._id) },
+            },
+          },
+          {
+            $group: {
+              _id: "$couponId",
+              redemptions: { $sum: 1 },
+              totalDiscount: { $sum: "$discount" },
+            },
+          },
+        ])
+        .toArray();
+      const usageByCoupon = new Map(
+        usage.map((entry) => [String(entry._id), entry])
+      );
+
+      res.send({
+        ...coupons,
+        items: coupons.items.map((coupon) => ({
+          ...coupon,
+          redemptions: usageByCoupon.get(String(coupon._id))?.redemptions || 0,
+          totalDiscount:
+            usageByCoupon.get(String(coupon._id))?.totalDiscount || 0,
+        })),
+      });
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch coupons" });
+    }
+  });
+
+  // POST a new coupon
+  app.post(
+    "/coupons",
+    verifyFirebaseToken,
+    authorize("admin", venueBody),
+    validateBody(schemas.coupon),
+    audit("coupon.create", couponsCollection, () => null),
+    async (req, res) => {
+      try {
+        const { coupon, error } = buildCoupon(req.body);
+        if (error) {
+          return res.status(400).send({ error });
+        }
+        const venueError = await checkVenueChange(
+          req.requester,
+          req.body.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+
+        let result;
+        try {
+          result = await couponsCollection.insertOne({
+            ...coupon,
+            createdAt: new Date(),
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res
+              .status(409)
+              .send({ error: "A coupon with this code already exists" });
+          }
+          throw error;
+        }
+        res.locals.auditTargetId = result.insertedId;
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to add coupon" });
+      }
+    }
+  );
+
+  // GET redemptions of a coupon (Admin)
+  app.get(
+    "/coupons/:id/usage",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", couponVenue),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const coupon = await couponsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!coupon) {
+          return res.status(404).send({ error: "Coupon not found" });
+        }
+
+        const redemptions = await couponRedemptionsCollection
+          .find({ couponId: coupon._id })
+          .sort({ redeemedAt: -1 })
+          .toArray();
+
+        res.send({
+          couponId: coupon._id,
+          code: coupon.code,
+          totalRedemptions: redemptions.length,
+          uniqueUsers: new Set(redemptions.map((r) => r.userEmail)).size,
+          totalDiscount: roundCurrency(
+            redemptions.reduce((sum, r) => sum + (r.discount || 0), 0)
+          ),
+          remaining: coupon.maxRedemptions
+            ? Math.max(coupon.maxRedemptions - redemptions.length, 0)
+            : null,
+          redemptions,
+        });
+      } catch (error) {
+        console.error("Error fetching coupon usage:", error);
+        res.status(500).send({ error: "Failed to fetch coupon usage" });
+      }
+    }
+  );
+
+  // DELETE a coupon
+  app.delete(
+    "/coupons/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", couponVenue),
+    audit("coupon.delete", couponsCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const result = await couponsCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+        if (result.deletedCount === 0) {
+          return res.status(404).send({ error: "Coupon not found" });
+        }
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to delete coupon" });
+      }
+    }
+  );
+
+  // UPDATE a coupon
+  app.put(
+    "/coupons/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", couponVenue),
+    validateBody(schemas.coupon, { partial: true }),
+    audit("coupon.update", couponsCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const existing = await couponsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!existing) {
+          return res.status(404).send({ error: "Coupon not found" });
+        }
+        const venueError = await checkVenueChange(
+          req.requester,
+          req.body.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+
+        // Rules like startsAt <= expiry span fields, so check the result
+        const { coupon, error } = buildCoupon({ ...existing, ...req.body });
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const updates = {};
+        for (const field of Object.keys(req.body)) {
+          updates[field] = coupon[field];
+        }
+        try {
+          await couponsCollection.updateOne(
+            { _id: existing._id },
+            { $set: updates }
+          );
+        } catch (error) {
+          if (error.code === 11000) {
+            return res
+              .status(409)
+              .send({ error: "A coupon with this code already exists" });
+          }
+          throw error;
+        }
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to update coupon" });
+      }
+    }
+  );
+
+  // GET coupon by code. Pass ?bookingId= to check it against a booking.
+  app.get("/coupons/:code", verifyFirebaseToken, async (req, res) => {
+    try {
+      const { code } = req.params;
+      const { bookingId } = req.query;
+
+      const context = { userEmail: req.decoded.email };
+      if (bookingId) {
+        if (!ObjectId.isValid(bookingId)) {
+          return res
+            .status(400)
+            .send({ isValid: false, error: "Invalid booking ID" });
+        }
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+          userEmail: req.decoded.email,
+        });
+        if (!booking) {
+          return res
+            .status(404)
+            .send({ isValid: false, error: "Booking not found" });
+        }
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(booking.courtId),
+        });
+        if (court) {
+          const price = await priceBooking({
+            court,
+            date: booking.date,
+            slots: booking.slots,
+            userEmail: booking.userEmail,
+          });
+          context.subtotal = price.subtotal;
+          context.courtType = court.type;
+          context.venueId = court.venueId ?? null;
+        }
+      }
+
+      const { coupon, discount, status, error } = await findValidCoupon(
+        code,
+        context
+      );
+      if (error) {
+        return res.status(status).send({ isValid: false, error });
+      }
+
+      // Coupon is valid
+      res.send({
+        isValid: true,
+        code: coupon.code,
+        type: coupon.type || "fixed",
+        discount: coupon.discount, // USD, or percent for percentage coupons
+        discountAmount: discount, // USD off this booking, if one was given
+        minSpend: coupon.minSpend || 0,
+        expiry: coupon.expiry,
+      });
+    } catch (error) {
+      res.status(500).send({ isValid: false, error: "Failed to fetch coupon" });
+    }
+  });
+
+  // -------------------------
+  // Pricing Rules CRUD
+  // -------------------------
+
+  // GET pricing rules (Admin), paged and filtered
+  app.get(
+    "/pricing-rules",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.pricingRules);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        res.send(await listPage(pricingRulesCollection, listQuery));
+      } catch (error) {
+        res.status(500).send({ error: "Failed to fetch pricing rules" });
+      }
+    }
+  );
+
+  // POST a new pricing rule (Admin)
+  app.post(
+    "/pricing-rules",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateBody(schemas.pricingRule),
+    audit("pricingRule.create", pricingRulesCollection, () => null),
+    async (req, res) => {
+      try {
+        const { rule, error } = buildPricingRule(req.body);
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const result = await pricingRulesCollection.insertOne({
+          ...rule,
+          createdAt: new Date(),
+        });
+        res.locals.auditTargetId = result.insertedId;
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to add pricing rule" });
+      }
+    }
+  );
+
+  // UPDATE a pricing rule (Admin)
+  app.put(
+    "/pricing-rules/:id",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    validateBody(schemas.pricingRule, { partial: true }),
+    audit("pricingRule.update", pricingRulesCollection),
+    async (req, res) => {
+      try {
+        const existing = await pricingRulesCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!existing) {
+          return res.status(404).send({ error: "Pricing rule not found" });
+        }
+
+        const { rule, error } = buildPricingRule({ ...existing, ...req.body });
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const updates = {};
+        for (const field of Object.keys(req.body)) {
+          updates[field] = rule[field];
+        }
+        await pricingRulesCollection.updateOne(
+          { _id: existing._id },
+          { $set: updates }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to update pricing rule" });
+      }
+    }
+  );
+
+  // DELETE a pricing rule (Admin)
+  app.delete(
+    "/pricing-rules/:id",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    audit("pricingRule.delete", pricingRulesCollection),
+    async (req, res) => {
+      try {
+        const result = await pricingRulesCollection.deleteOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (result.deletedCount === 0) {
+          return res.status(404).send({ error: "Pricing rule not found" });
+        }
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to delete pricing rule" });
+      }
+    }
+  );
+
+  // Preview what a booking would cost. Admins may quote for another user.
+  app.post(
+    "/pricing/quote",
+    verifyFirebaseToken,
+    authorize(
+      "admin",
+      owner((req) => req.body?.userEmail ?? req.decoded.email)
+    ),
+    validateBody(schemas.quote),
+    async (req, res) => {
+      try {
+        const { courtId, date, slots, couponCode } = req.body;
+        const userEmail = req.body.userEmail || req.decoded.email;
+
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(courtId),
+        });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+
+        const requestedSlots = [...new Set(slots)];
+        const offeredSlots = scheduledSlots(court, date);
+        const unknownSlots = requestedSlots.filter(
+          (slot) => !offeredSlots.includes(slot)
+        );
+        if (unknownSlots.length > 0) {
+          return res
+            .status(400)
+            .send({ error: "Court does not offer these slots", unknownSlots });
+        }
+
+        const quote = await quoteBooking({
+          court,
+          userEmail,
+          date,
+          slots: requestedSlots,
+          couponCode,
+        });
+        if (quote.error) {
+          return res.status(quote.status).send({ error: quote.error });
+        }
+        res.send({ courtId, date, userEmail, ...quote.price });
+      } catch (error) {
+        console.error("Error quoting booking:", error);
+        res.status(500).send({ error: "Failed to quote booking" });
+      }
+    }
+  );
+
+  // -------------------------
+  // Membership Plans
+  // -------------------------
+
+  // Plans open to sign up for. ?all=true shows admins the retired ones too.
+  app.get("/membership-plans", identifyRequester, async (req, res) => {
+    try {
+      const showAll =
+        req.query.all === "true" && req.requester?.role === "admin";
+      const plans = await membershipPlansCollection
+        .find(showAll ? {} : { active: true })
+        .sort({ price: 1 })
+        .toArray();
+      res.send(plans);
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch membership plans" });
+    }
+  });
+
+  // POST a new plan (Admin). It's billed through a recurring Stripe price.
+  app.post(
+    "/membership-plans",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateBody(schemas.membershipPlan),
+    audit("membershipPlan.create", membershipPlansCollection, () => null),
+    async (req, res) => {
+      try {
+        const plan = buildMembershipPlan(req.body);
+        const stripePrice = await stripe.prices.create({
+          currency: "usd",
+          unit_amount: Math.round(plan.price * 100),
+          recurring: { interval: plan.interval },
+          product_data: { name: `${plan.name} membership` },
+        });
+
+        const result = await membershipPlansCollection.insertOne({
+          ...plan,
+          stripePriceId: stripePrice.id,
+          stripeProductId: stripePrice.product,
+          createdAt: new Date(),
+        });
+        res.locals.auditTargetId = result.insertedId;
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        console.error("Error creating membership plan:", error);
+        res.status(500).send({ error: "Failed to add membership plan" });
+      }
+    }
+  );
+
+  // UPDATE a plan (Admin). Stripe prices can't change, so a new price or
+  // interval needs a new plan.
+  app.put(
+    "/membership-plans/:id",
+    verifyFirebaseToken,
+    verifyAdmin,
+    validateIdParams("id"),
+    validateBody(schemas.membershipPlan, { partial: true }),
+    audit("membershipPlan.update", membershipPlansCollection),
+    async (req, res) => {
+      try {
+        if ("price" in req.body || "interval" in req.body) {
+          return res.status(400).send({
+            error: "Price and interval can't change, create a new plan",
+          });
+        }
+
+        const existing = await membershipPlansCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!existing) {
+          return res.status(404).send({ error: "Membership plan not found" });
+        }
+
+        const plan = buildMembershipPlan({ ...existing, ...req.body });
+        const updates = {};
+        for (const field of Object.keys(req.body)) {
+          updates[field] = plan[field];
+        }
+        if ("active" in updates) {
+          // Retired plans can't be signed up for, current members keep them
+          await stripe.prices.update(existing.stripePriceId, {
+            active: updates.active,
+          });
+        }
+        await membershipPlansCollection.updateOne(
+          { _id: existing._id },
+          { $set: updates }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error updating membership plan:", error);
+        res.status(500).send({ error: "Failed to update membership plan" });
+      }
+    }
+  );
+
+  // -------------------------
+  // Memberships
+  // -------------------------
+
+  // A user's membership, with its plan
+  app.get(
+    "/users/:email/membership",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.params.email,
+        });
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        const { membership = null } = user;
+        const plan = membership?.planId
+          ? await membershipPlansCollection.findOne({
+              _id: new ObjectId(membership.planId),
+            })
+          : null;
+        res.send({
+          role: user.role || "user",
+          memberSince: user.memberSince || null,
+          active: membershipActive(membership),
+          inGracePeriod: inGracePeriod(membership),
+          membership,
+          plan,
+        });
+      } catch (error) {
+        console.error("Error fetching membership:", error);
+        res.status(500).send({ error: "Failed to fetch membership" });
+      }
+    }
+  );
+
+  // Subscribe to a plan. The client confirms the first payment with the
+  // returned clientSecret; the user becomes a member once Stripe reports
+  // the subscription active.
+  app.post(
+    "/users/:email/membership",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    validateBody(schemas.membershipSignup),
+    async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.params.email,
+        });
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+        if (membershipActive(user.membership)) {
+          return res.status(409).send({ error: "Already a member" });
+        }
+
+        const plan = await membershipPlansCollection.findOne({
+          _id: new ObjectId(req.body.planId),
+          active: true,
+        });
+        if (!plan) {
+          return res.status(404).send({ error: "Membership plan not found" });
+        }
+
+        let customerId = user.stripeCustomerId;
+        if (!customerId) {
+          const customer = await stripe.customers.create({
+            email: user.email,
+            name: user.name,
+          });
+          customerId = customer.id;
+          await usersCollection.updateOne(
+            { _id: user._id },
+            { $set: { stripeCustomerId: customerId } }
+          );
+        }
+
+        const subscription = await stripe.subscriptions.create({
+          customer: customerId,
+          items: [{ price: plan.stripePriceId }],
+          payment_behavior: "default_incomplete",
+          payment_settings: { save_default_payment_method: "on_subscription" },
+          // Lets the webhook find the user and plan
+          metadata: { email: user.email, planId: String(plan._id) },
+          expand: ["latest_invoice.confirmation_secret"],
+        });
+        await syncSubscription(subscription);
+
+        res.send({
+          subscriptionId: subscription.id,
+          status: subscription.status,
+          clientSecret:
+            subscription.latest_invoice?.confirmation_secret?.client_secret ||
+            null,
+        });
+      } catch (error) {
+        console.error("Error creating membership:", error);
+        res.status(500).send({ error: "Failed to create membership" });
+      }
+    }
+  );
+
+  // Cancel at the end of the paid period, or turn renewal back on with
+  // { renew: true } before then
+  app.patch(
+    "/users/:email/membership",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    validateBody(schemas.membershipRenewal),
+    async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.params.email,
+        });
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
+        if (!membershipActive(user.membership)) {
+          return res.status(404).send({ error: "No active membership" });
+        }
+
+        const subscription = await stripe.subscriptions.update(
+          user.membership.subscriptionId,
+          { cancel_at_period_end: !req.body.renew }
+        );
+        await syncSubscription(subscription);
+        res.send({
+          success: true,
+          cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        });
+      } catch (error) {
+        console.error("Error updating membership:", error);
+        res.status(500).send({ error: "Failed to update membership" });
+      }
+    }
+  );
+
+  // -------------------------
+  // Announcements CRUD
+  // -------------------------
+
+  // Get the announcements the caller may see right now, pinned first, then
+  // by priority, a ?page= at a time. ?venueId= or ?courtId= adds what's targeted there and
+  // leaves out other venues' announcements. Signed-in callers also learn
+  // which they've read.
+  app.get("/announcements", identifyRequester, async (req, res) => {
+    try {
+      const { venueId, courtId, ...query } = req.query;
+      const listQuery = parseListQuery(query, LIST_SPECS.announcements);
+      if (listQuery.error) {
+        return res.status(400).send({ error: listQuery.error });
+      }
+      // Pinned and priority order can't be resumed from a cursor
+      if (listQuery.cursor) {
+        return res
+          .status(400)
+          .send({ error: "Announcements are paged with ?page=, not ?cursor=" });
+      }
+
+      let court = null;
+      if (courtId) {
+        if (!ObjectId.isValid(courtId)) {
+          return res.status(400).send({ error: "Invalid courtId" });
+        }
+        court = await courtsCollection.findOne(
+          { _id: new ObjectId(courtId) },
+          { projection: { venueId: 1 } }
+        );
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
+        }
+      }
+
+      const page = await listPage(
+        announcementsCollection,
+        listQuery,
+        visibleAnnouncementsFilter(req.requester, {
+          venueId: venueId || null,
+          court,
+        }),
+        {
+          leadingSort: [
+            ["pinned", -1],
+            ["priority", -1],
+          ],
+        }
+      );
+      page.items = page.items.map(
+        ({ notifiedAt, readCount, ...announcement }) => announcement
+      );
+
+      if (req.requester) {
+        const reads = await announcementReadsCollection
+          .find({
+            email: req.requester.email,
+            announcementId: { $in: page.items.map((item) => item._id) },
+          })
+          .toArray();
+        const readIds = new Set(
+          reads.map((read) => String(read.announcementId))
+        );
+        page.items = page.items.map((item) => ({
+          ...item,
+          read: readIds.has(String(item._id)),
+        }));
+      }
+
+      res.send(page);
+    } catch (error) {
+      res.status(500).send({ error: "Failed to fetch announcements" });
+    }
+  });
+
+  // Every announcement, scheduled and expired ones included, with how many
+  // users have read each. ?state=scheduled|live|expired narrows the list.
+  // Venue managers see their venues' announcements.
+  app.get(
+    "/admin/announcements",
+    verifyFirebaseToken,
+    authorize("admin", "venue-manager"),
+    async (req, res) => {
+      try {
+        const { state, ...query } = req.query;
+        if (state && !["scheduled", "live", "expired"].includes(state)) {
+          return res
+            .status(400)
+            .send({ error: "state must be scheduled, live or expired" });
+        }
+        const listQuery = parseListQuery(query, LIST_SPECS.announcements);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        const now = new Date();
+        const conditions = [];
+        if (state) conditions.push(announcementStateFilter(state, now));
+        if (req.requester.role === "venue-manager") {
+          conditions.push({ venueId: { $in: req.requester.venueIds || [] } });
+        }
+
+        const page = await listPage(
+          announcementsCollection,
+          listQuery,
+          conditions.length > 0 ? { $and: conditions } : {}
+        );
+        page.items = page.items.map((announcement) => ({
+          ...announcement,
+          state: announcementState(announcement, now),
+          readCount: announcement.readCount || 0,
+        }));
+        res.send(page);
+      } catch (error) {
+        console.error("Error fetching announcements:", error);
+        res.status(500).send({ error: "Failed to fetch announcements" });
+      }
+    }
+  );
+
+  // Mark an announcement read by the caller
+  app.post(
+    "/announcements/:id/read",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    async (req, res) => {
+      try {
+        const email = req.decoded.email;
+        const user = await usersCollection.findOne({ email });
+        const announcement = await announcementsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+
+        // Only what the user could be shown, wherever it's targeted
+        const visible =
+          announcement &&
+          (await announcementsCollection.countDocuments({
+            $and: [
+              { _id: announcement._id },
+              visibleAnnouncementsFilter(user, {
+                venueId: announcement.venueId ?? null,
+                court: announcement.courtId
+                  ? { _id: announcement.courtId, venueId: announcement.venueId }
+                  : null,
+              }),
+            ],
+          }));
+        if (!visible) {
+          return res.status(404).send({ error: "Announcement not found" });
+        }
+
+        const result = await announcementReadsCollection.updateOne(
+          { announcementId: announcement._id, email },
+          { $setOnInsert: { readAt: new Date() } },
+          { upsert: true }
+        );
+        if (result.upsertedCount === 1) {
+          await announcementsCollection.updateOne(
+            { _id: announcement._id },
+            { $inc: { readCount: 1 } }
+          );
+        }
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error marking announcement read:", error);
+        res.status(500).send({ error: "Failed to mark announcement read" });
+      }
+    }
+  );
+
+  // Add announcement. It goes out when publishAt comes, straight away when
+  // unset.
+  app.post(
+    "/announcements",
+    verifyFirebaseToken,
+    authorize("admin", announcementTarget),
+    validateBody(schemas.announcement),
+    audit("announcement.create", announcementsCollection, () => null),
+    async (req, res) => {
+      try {
+        let court = null;
+        if (req.body.audience === "court" && req.body.courtId) {
+          court = await courtsCollection.findOne({
+            _id: new ObjectId(req.body.courtId),
+          });
+          if (!court) {
+            return res.status(400).send({ error: "Court not found" });
+          }
+        }
+        const venueError = await checkVenueChange(
+          req.requester,
+          court ? undefined : req.body.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+
+        const { announcement, error } = buildAnnouncement(req.body, { court });
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const result = await announcementsCollection.insertOne({
+          ...announcement,
+          readCount: 0,
+          createdAt: new Date(),
+        });
+        res.locals.auditTargetId = result.insertedId;
+        publishDueAnnouncements();
+        res.send({ success: true, insertedId: result.insertedId });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to add announcement" });
+      }
+    }
+  );
+
+  // Update announcement
+  app.put(
+    "/announcements/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", announcementVenue),
+    validateBody(schemas.announcement, { partial: true }),
+    audit("announcement.update", announcementsCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const existing = await announcementsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!existing) {
+          return res.status(404).send({ error: "Announcement not found" });
+        }
+
+        const audience = req.body.audience ?? existing.audience;
+        const courtId = req.body.courtId ?? existing.courtId;
+        let court = null;
+        if (audience === "court" && courtId) {
+          court = await courtsCollection.findOne({
+            _id: new ObjectId(courtId),
+          });
+          if (!court) {
+            return res.status(400).send({ error: "Court not found" });
+          }
+          if (!canManageVenue(req.requester, court.venueId)) {
+            return res.status(403).send({ error: "Forbidden: Not your venue" });
+          }
+        }
+        const venueError = await checkVenueChange(
+          req.requester,
+          req.body.venueId
+        );
+        if (venueError) {
+          return res
+            .status(venueError.status)
+            .send({ error: venueError.error });
+        }
+
+        // Rules like publishAt < expiresAt span fields, so check the result
+        const { announcement, error } = buildAnnouncement(
+          { ...existing, ...req.body },
+          { court }
+        );
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const updates = {};
+        for (const field of Object.keys(req.body)) {
+          updates[field] = announcement[field];
+        }
+        if ("audience" in req.body || "courtId" in req.body) {
+          updates.courtId = announcement.courtId;
+          updates.venueId = announcement.venueId;
+        }
+        await announcementsCollection.updateOne(
+          { _id: existing._id },
+          { $set: updates }
+        );
+        publishDueAnnouncements();
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to update announcement" });
+      }
+    }
+  );
+
+  // Delete announcement
+  app.delete(
+    "/announcements/:id",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", announcementVenue),
+    audit("announcement.delete", announcementsCollection),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const result = await announcementsCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+
+        if (result.deletedCount === 0) {
+          return res.status(404).send({ error: "Announcement not found" });
+        }
+        await announcementReadsCollection.deleteMany({
+          announcementId: new ObjectId(id),
+        });
+        res.send({ success: true });
+      } catch (error) {
+        res.status(500).send({ error: "Failed to delete announcement" });
+      }
+    }
+  );
+
+  // -------------------------
+  // Payment CRUD
+  // -------------------------
+
+  // get payment data
+  // Admins may leave out ?email= to see every payment
+  app.get(
+    "/payments",
+    verifyFirebaseToken,
+    authorize(emailQuery, "admin"),
+    async (req, res) => {
+      try {
+        const userEmail = req.query.email;
+        if (!userEmail && req.requester?.role !== "admin") {
+          return res.status(403).send({ error: "forbidden access" });
+        }
+
+        const listQuery = parseListQuery(req.query, LIST_SPECS.payments);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        // Latest first unless asked otherwise
+        res.send(
+          await listPage(
+            paymentsCollection,
+            listQuery,
+            userEmail ? { email: userEmail } : {}
+          )
+        );
+      } catch (error) {
+        console.error("Error fetching payment history:", error);
+        res.status(500).send({ error: "Failed to get payments" });
+      }
+    }
+  );
+
+  // Download the PDF receipt of a payment (payer or Admin)
+  app.get(
+    "/payments/:id/receipt",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", paymentParam),
+    async (req, res) => {
+      try {
+        const payment = await paymentsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!payment) {
+          return res.status(404).send({ error: "Payment not found" });
+        }
+
+        const [receipt] = await buildReceipts([payment]);
+        res.type("application/pdf").attachment(`receipt-${receipt.number}.pdf`);
+        writeReceiptsPdf([receipt], res);
+      } catch (error) {
+        console.error("Error creating receipt:", error);
+        res.status(500).send({ error: "Failed to create receipt" });
+      }
+    }
+  );
+
+  // Every receipt for payments made ?from=&to= (days, both included), as
+  // one PDF (Admin)
+  app.get(
+    "/admin/receipts",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const payments = await paymentsCollection
+          .find({
+            createdAt: { $gte: range.fromDate, $lt: range.untilDate },
+          })
+          .sort({ createdAt: 1 })
+          .limit(MAX_BULK_RECEIPTS + 1)
+          .toArray();
+        if (payments.length === 0) {
+          return res.status(404).send({ error: "No payments in that range" });
+        }
+        if (payments.length > MAX_BULK_RECEIPTS) {
+          return res.status(400).send({
+            error: `More than ${MAX_BULK_RECEIPTS} payments, pick a shorter range`,
+          });
+        }
+
+        const receipts = await buildReceipts(payments);
+        res
+          .type("application/pdf")
+          .attachment(`receipts-${range.from}-to-${range.to}.pdf`);
+        writeReceiptsPdf(receipts, res);
+      } catch (error) {
+        console.error("Error exporting receipts:", error);
+        res.status(500).send({ error: "Failed to export receipts" });
+      }
+    }
+  );
+
+  // post payment data
+  // The card has already been charged by Stripe; this only confirms it so the
+  // client doesn't have to wait for the webhook.
+  app.post(
+    "/payments",
+    verifyFirebaseToken,
+    idempotent,
+    authorize(paymentBody),
+    validateBody(schemas.payment),
+    async (req, res) => {
+      try {
+        // seriesId instead of bookingId confirms a whole-series payment
+        const { bookingId, seriesId, transactionId } = req.body;
+        const id = seriesId || bookingId;
+
+        if (!id) {
+          return sendValidationError(res, [
+            { field: "bookingId", message: "is required without seriesId" },
+          ]);
+        }
+
+        const owner = seriesId
+          ? await bookingSeriesCollection.findOne({ _id: new ObjectId(id) })
+          : await bookingsCollection.findOne({ _id: new ObjectId(id) });
+        if (!owner) {
+          return res.status(404).send({ error: "Booking not found" });
+        }
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(
+          transactionId
+        );
+        const intentId = seriesId
+          ? paymentIntent.metadata?.seriesId
+          : paymentIntent.metadata?.bookingId;
+        if (paymentIntent.status !== "succeeded" || intentId !== id) {
+          return res
+            .status(400)
+            .send({ error: "Payment has not been completed for this booking" });
+        }
+
+        const recorded = await recordSucceededPayment(paymentIntent);
+        if (recorded.error) {
+          return res.status(recorded.status).send({ error: recorded.error });
+        }
+
+        res.send({
+          success: true,
+          message: "Payment recorded and booking confirmed",
+        });
+      } catch (error) {
+        console.error("Error processing payment:", error);
+        res.status(500).send({ error: "Failed to process payment" });
+      }
+    }
+  );
+
+  // payment intent for the total stored on a booking
+  app.post(
+    "/create-payment-intent",
+    verifyFirebaseToken,
+    idempotent,
+    authorize(bookingBody),
+    validateBody(schemas.paymentIntent),
+    async (req, res) => {
+      try {
+        const { bookingId, couponCode } = req.body;
+
+        const booking = await bookingsCollection.findOne({
+          _id: new ObjectId(bookingId),
+        });
+        if (!booking) {
+          return res.status(404).send({ error: "Booking not found" });
+        }
+        if (PAID_BOOKING_STATUSES.includes(booking.status)) {
+          return res.status(409).send({ error: "Booking is already paid" });
+        }
+        if (booking.status !== "approved") {
+          return res
+            .status(400)
+            .send({ error: "Only approved bookings can be paid" });
+        }
+
+        const newCoupon =
+          Boolean(couponCode) && couponCode !== booking.price?.couponCode;
+
+        // An unpaid intent is handed out again, at the price it was made
+        // for, unless a different coupon needs a new price
+        const open = await openPaymentIntent(booking.paymentIntentId);
+        if (open.error) {
+          return res.status(open.status).send({ error: open.error });
+        }
+        if (open.intent) {
+          if (!newCoupon) {
+            return res.send(open.intent.client_secret);
+          }
+          await stripe.paymentIntents.cancel(open.intent.id);
+        }
+
+        // The booking is charged what it was priced at when it was made.
+        // Only a coupon added at checkout prices it again.
+        let price = null;
+        if (newCoupon) {
+          const court = await courtsCollection.findOne({
+            _id: new ObjectId(booking.courtId),
+          });
+          if (!court) {
+            return res.status(404).send({ error: "Court not found" });
+          }
+          const quote = await quoteBooking({
+            court,
+            userEmail: booking.userEmail,
+            date: booking.date,
+            slots: booking.slots,
+            couponCode,
+          });
+          if (quote.error) {
+            return res.status(quote.status).send({ error: quote.error });
+          }
+          price = quote.price;
+        }
+        const total = price ? price.total : booking.totalPrice;
+
+        // Stripe takes the smallest currency unit and refuses under $0.50
+        const amount = Math.round(total * 100);
+        if (amount < 50) {
+          return res
+            .status(400)
+            .send({ error: "Booking total is too small to charge" });
+        }
+
+        const idempotencyKey = req.get("Idempotency-Key");
+        const paymentIntent = await stripe.paymentIntents.create(
+          {
+            amount,
+            currency: "usd",
+            payment_method_types: ["card"],
+            // Lets the webhook find the booking this payment belongs to
+            metadata: {
+              bookingId: String(booking._id),
+              userEmail: booking.userEmail,
+            },
+          },
+          // A retry after a failure gets the same intent from Stripe
+          idempotencyKey
+            ? { idempotencyKey: `intent-${booking._id}-${idempotencyKey}` }
+            : undefined
+        );
+
+        // A new price is only stored together with the intent charging it,
+        // and only if no other request got there first
+        const stored = await bookingsCollection.updateOne(
+          {
+            _id: booking._id,
+            status: "approved",
+            paymentIntentId: booking.paymentIntentId ?? null,
+          },
+          {
+            $set: {
+              ...(price ? { price, totalPrice: price.total } : {}),
+              paymentIntentId: paymentIntent.id,
+            },
+          }
+        );
+        if (stored.matchedCount === 0) {
+          await stripe.paymentIntents.cancel(paymentIntent.id);
+          return res
+            .status(409)
+            .send({ error: "Booking was changed by another request" });
+        }
+
+        res.send(paymentIntent.client_secret);
+      } catch (error) {
+        console.error("Error creating payment intent:", error);
+        res.status(500).send({ error: "Failed to create payment intent" });
       }
+    }
+  );
 
-      res.send({ role: user.role || "user" });
+  // Stripe webhook, the source of truth for payments
+  app.post("/stripe/webhook", async (req, res) => {
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
     } catch (error) {
-      console.error("Error getting user role:", error);
-      res.status(500).send({ message: "Failed to get role" });
+      console.error("Stripe webhook signature check failed:", error.message);
+      return res.status(400).send({ error: "Invalid Stripe signature" });
     }
-  });
 
-  // GET All Users
-  app.get("/users", verifyFirebaseToken, verifyAdmin, async (req, res) => {
     try {
-      const users = await usersCollection.find().toArray();
-      res.send(users);
+      await handleStripeEvent(event);
+      res.send({ received: true });
     } catch (error) {
-      res.status(500).send({ message: "Failed to fetch users" });
+      // A 500 makes Stripe retry the event later
+      console.error(`Error handling Stripe event ${event.id}:`, error);
+      res.status(500).send({ error: "Failed to handle Stripe event" });
     }
   });
 
-  app.post("/users", async (req, res) => {
-    const email = req.body.email;
-    const userExists = await usersCollection.findOne({ email });
-    if (userExists) {
-      // update last log in
-      return res
-        .status(200)
-        .send({ message: "User already exists", inserted: false });
+  /// profile section
+  app.get(
+    "/admin/profile/:email",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const adminEmail = req.params.email;
+
+        // Find the admin user
+        const adminUser = await usersCollection.findOne({ email: adminEmail });
+
+        if (!adminUser) {
+          return res.status(404).send({ error: "Admin not found" });
+        }
+
+        // Fetch statistics
+        const [totalCourts, totalUsers, totalMembers] = await Promise.all([
+          courtsCollection.countDocuments(),
+          usersCollection.countDocuments(),
+          usersCollection.countDocuments({ role: "member" }),
+        ]);
+
+        res.send({
+          name: adminUser.name || "Admin",
+          email: adminUser.email,
+          image: adminUser.image || "/default-admin.png",
+          totalCourts,
+          totalUsers,
+          totalMembers,
+        });
+      } catch (error) {
+        console.error("Error fetching admin profile:", error);
+        res.status(500).send({ error: "Failed to fetch admin profile" });
+      }
     }
-    const user = req.body;
-    const result = await usersCollection.insertOne(user);
-    res.send(result);
-  });
+  );
 
-  app.patch(
-    "/users/:id/role",
+  // --------------------------
+  // ANALYTICS (Admin)
+  // --------------------------
+  // All take ?from=&to=&courtId=, see analytics.js
+
+  // Revenue per ?interval=day|week|month
+  app.get(
+    "/admin/analytics/revenue",
     verifyFirebaseToken,
     verifyAdmin,
     async (req, res) => {
-      const { id } = req.params;
-      const { role } = req.body;
+      try {
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const periods = await paymentsCollection
+          .aggregate(revenuePipeline(range))
+          .toArray();
+        const total = (field) =>
+          roundCurrency(
+            periods.reduce((sum, period) => sum + period[field], 0)
+          );
 
-      if (!["admin", "user", "member"].includes(role)) {
-        return res.status(400).send({ message: "Invalid role" });
+        res.send({
+          from: range.from,
+          to: range.to,
+          interval: range.interval,
+          gross: total("gross"),
+          refunded: total("refunded"),
+          net: total("net"),
+          periods,
+        });
+      } catch (error) {
+        console.error("Error fetching revenue:", error);
+        res.status(500).send({ error: "Failed to fetch revenue" });
       }
+    }
+  );
 
+  // Occupancy per court and hour of day
+  app.get(
+    "/admin/analytics/occupancy",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
       try {
-        const result = await usersCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: { role } }
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const [courts, bookedRows, closures] = await Promise.all([
+          courtsCollection
+            .find(range.courtId ? { _id: new ObjectId(range.courtId) } : {})
+            .toArray(),
+          bookingsCollection
+            .aggregate(
+              bookedSlotsPipeline(range, [
+                ...ACTIVE_BOOKING_STATUSES,
+                "completed",
+              ])
+            )
+            .toArray(),
+          courtClosuresCollection
+            .find({
+              ...(range.courtId ? { courtId: range.courtId } : {}),
+              startDate: { $lte: range.to },
+              endDate: { $gte: range.from },
+            })
+            .toArray(),
+        ]);
+
+        res.send({
+          from: range.from,
+          to: range.to,
+          courts: occupancyReport(courts, bookedRows, closures, range),
+        });
+      } catch (error) {
+        console.error("Error fetching occupancy:", error);
+        res.status(500).send({ error: "Failed to fetch occupancy" });
+      }
+    }
+  );
+
+  // Conversion from pending to paid, and rejection and cancellation rates
+  app.get(
+    "/admin/analytics/bookings",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const rows = await bookingsCollection
+          .aggregate(bookingOutcomesPipeline(range))
+          .toArray();
+        res.send({ from: range.from, to: range.to, ...bookingOutcomes(rows) });
+      } catch (error) {
+        console.error("Error fetching booking outcomes:", error);
+        res.status(500).send({ error: "Failed to fetch booking outcomes" });
+      }
+    }
+  );
+
+  // Customers who spent the most, ?limit= of them (10 by default)
+  app.get(
+    "/admin/analytics/customers",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const customers = await paymentsCollection
+          .aggregate(topCustomersPipeline(range))
+          .toArray();
+        res.send({ from: range.from, to: range.to, customers });
+      } catch (error) {
+        console.error("Error fetching top customers:", error);
+        res.status(500).send({ error: "Failed to fetch top customers" });
+      }
+    }
+  );
+
+  // What each coupon gave away and brought in
+  app.get(
+    "/admin/analytics/coupons",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const range = parseAnalyticsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
+
+        const coupons = await paymentsCollection
+          .aggregate(couponImpactPipeline(range))
+          .toArray();
+        res.send({ from: range.from, to: range.to, coupons });
+      } catch (error) {
+        console.error("Error fetching coupon analytics:", error);
+        res.status(500).send({ error: "Failed to fetch coupon analytics" });
+      }
+    }
+  );
+
+  // Get member profile by email
+  app.get(
+    "/member/profile/:email",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const memberEmail = req.params.email;
+
+        const member = await usersCollection.findOne({ email: memberEmail });
+        if (!member) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.send({
+          name: member.name || "Member",
+          email: member.email,
+          image: member.image || "/default-user.png",
+          role: member.role || "user",
+          memberSince: member.memberSince || null,
+        });
+      } catch (error) {
+        console.error("Error fetching member profile:", error);
+        res.status(500).send({ error: "Failed to fetch member profile" });
+      }
+    }
+  );
+
+  // Bookings that will expire within ?hours= (default 6) unless acted on
+  app.get(
+    "/admin/bookings/expiring",
+    verifyFirebaseToken,
+    authorize("admin", "venue-manager"),
+    async (req, res) => {
+      try {
+        const hours = Number(req.query.hours ?? 6);
+        if (Number.isNaN(hours) || hours < 0) {
+          return res.status(400).send({ error: "Invalid hours" });
+        }
+
+        const asOf = new Date(Date.now() + hours * 60 * 60 * 1000);
+        const bookings = await bookingsCollection
+          .find({
+            ...expiredBookingsFilter(config.bookingExpiry, asOf),
+            ...(await bookingScope(req.requester)),
+          })
+          .toArray();
+
+        res.send(
+          bookings
+            .map((booking) => ({
+              ...booking,
+              expiresAt: bookingExpiresAt(booking, config.bookingExpiry),
+            }))
+            .sort((a, b) => a.expiresAt - b.expiresAt)
         );
-        res.send({ message: `User role updated to ${role}`, result });
       } catch (error) {
-        console.error("Error updating user role", error);
-        res.status(500).send({ message: "Failed to update user role" });
+        console.error("Error fetching expiring bookings:", error);
+        res.status(500).send({ error: "Failed to fetch expiring bookings" });
+      }
+    }
+  );
+
+  // Active bookings a court closure overlaps, still to be moved or cancelled
+  app.get(
+    "/admin/bookings/closure-conflicts",
+    verifyFirebaseToken,
+    authorize("admin", "venue-manager"),
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.bookings);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        res.send(
+          await listPage(bookingsCollection, listQuery, {
+            "closureConflicts.0": { $exists: true },
+            status: { $in: ACTIVE_BOOKING_STATUSES },
+            ...(await bookingScope(req.requester)),
+          })
+        );
+      } catch (error) {
+        console.error("Error fetching closure conflicts:", error);
+        res.status(500).send({ error: "Failed to fetch closure conflicts" });
+      }
+    }
+  );
+
+  // --------------------------
+  // CSV EXPORT AND IMPORT (Admin)
+  // --------------------------
+  // Exports take the same filters and sort as the list endpoints
+
+  app.get(
+    "/admin/exports/bookings",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.bookings);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        await sendCsv(
+          res,
+          "bookings",
+          CSV_EXPORTS.bookings,
+          listCursor(bookingsCollection, listQuery)
+        );
+      } catch (error) {
+        console.error("Error exporting bookings:", error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send({ error: "Failed to export bookings" });
+      }
+    }
+  );
+
+  // ?email= narrows to one payer, as on GET /payments
+  app.get(
+    "/admin/exports/payments",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.payments);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        await sendCsv(
+          res,
+          "payments",
+          CSV_EXPORTS.payments,
+          listCursor(
+            paymentsCollection,
+            listQuery,
+            req.query.email ? { email: req.query.email } : {}
+          )
+        );
+      } catch (error) {
+        console.error("Error exporting payments:", error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send({ error: "Failed to export payments" });
+      }
+    }
+  );
+
+  app.get(
+    "/admin/exports/users",
+    verifyFirebaseToken,
+    verifyAdmin,
+    async (req, res) => {
+      try {
+        const listQuery = parseListQuery(req.query, LIST_SPECS.users);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
+        }
+
+        await sendCsv(
+          res,
+          "users",
+          CSV_EXPORTS.users,
+          listCursor(usersCollection, listQuery)
+        );
+      } catch (error) {
+        console.error("Error exporting users:", error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).send({ error: "Failed to export users" });
+      }
+    }
+  );
+
+  // Imports take a text/csv body whose header row names the fields of
+  // POST /courts or POST /coupons. Add ?dryRun=true to only check the file.
+  const csvBody = express.text({ type: "text/csv", limit: "2mb" });
+
+  app.post(
+    "/admin/imports/courts",
+    verifyFirebaseToken,
+    authorize("admin"),
+    audit("court.import", courtsCollection, () => null),
+    csvBody,
+    async (req, res) => {
+      try {
+        await importCsv(req, res, {
+          collection: courtsCollection,
+          schema: schemas.court,
+          checkRow: async (court) => {
+            const scheduleError = checkSchedule(court);
+            if (scheduleError) return { error: scheduleError };
+            const venueError = await checkVenueChange(
+              req.requester,
+              court.venueId
+            );
+            return venueError || court;
+          },
+        });
+      } catch (error) {
+        console.error("Error importing courts:", error);
+        res.status(500).send({ error: "Failed to import courts" });
       }
     }
   );
 
-  app.get(
-    "/users/members",
+  app.post(
+    "/admin/imports/coupons",
     verifyFirebaseToken,
-    verifyAdmin,
+    authorize("admin"),
+    audit("coupon.import", couponsCollection, () => null),
+    csvBody,
     async (req, res) => {
       try {
-        const members = await usersCollection
-          .find({ role: "member" })
-          .toArray();
-        res.send(members);
+        await importCsv(req, res, {
+          collection: couponsCollection,
+          schema: schemas.coupon,
+          checkRow: async (input, seen) => {
+            const { coupon, error } = buildCoupon(input);
+            if (error) return { error };
+            if (
+              seen.has(coupon.code) ||
+              (await couponsCollection.findOne({ code: coupon.code }))
+            ) {
+              return { error: `Coupon code ${coupon.code} already exists` };
+            }
+            seen.add(coupon.code);
+
+            const venueError = await checkVenueChange(
+              req.requester,
+              input.venueId
+            );
+            return venueError || coupon;
+          },
+        });
       } catch (error) {
-        res.status(500).send({ error: "Failed to fetch members" });
+        console.error("Error importing coupons:", error);
+        res.status(500).send({ error: "Failed to import coupons" });
       }
     }
   );
 
-  // app.get(
-  //   "/users/:email",
-  //   verifyFirebaseToken,
-  //   verifyAdmin,
-  //   async (req, res) => {
-  //     const { email } = req.params;
-  //     try {
-  //       const user = await usersCollection.findOne({ email });
-  //       if (!user) {
-  //         return res.status(404).send({ message: "User not found" });
-  //       }
-  //       res.send(user);
-  //     } catch (error) {
-  //       console.error("Error fetching user:", error);
-  //       res.status(500).send({ message: "Failed to fetch user" });
-  //     }
-  //   }
-  // );
-  // GET a single user by email
- app.get("/users/:email", verifyFirebaseToken, async (req, res) => {
-  try {
-    const requestedEmail = req.params.email;
-    const requesterEmail = req.decoded.email;
-
-    // Fetch requester user info to check role
-    const requesterUser = await usersCollection.findOne({ email: requesterEmail });
-
-    if (!requesterUser) {
-      return res.status(401).send({ message: "Unauthorized" });
-    }
-
-    // Allow if requester is admin OR requester is asking their own data
-    if (requesterUser.role !== "admin" && requesterEmail !== requestedEmail) {
-      return res.status(403).send({ message: "Forbidden: Access denied" });
-    }
-
-    const user = await usersCollection.findOne({ email: requestedEmail });
-
-    if (!user) {
-      return res.status(404).send({ message: "User not found" });
-    }
-
-    res.send(user);
-  } catch (error) {
-    console.error("Error fetching user:", error);
-    res.status(500).send({ message: "Failed to fetch user" });
-  }
-});
-
   // --------------------------
-  // COUPONS CRUD
+  // NOTIFICATION SETTINGS
   // --------------------------
 
-  // GET all coupons
-  app.get("/coupons", async (req, res) => {
-    try {
-      const coupons = await couponsCollection.find().toArray();
-      res.send(coupons);
-    } catch (error) {
-      res.status(500).send({ error: "Failed to fetch coupons" });
-    }
-  });
-
-  // POST a new coupon
-  app.post("/coupons", verifyFirebaseToken, verifyAdmin, async (req, res) => {
-    try {
-      const { code, discount, expiry } = req.body;
+  // A user's notification preferences, with everything unset shown as on
+  app.get(
+    "/users/:email/notification-preferences",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        const user = await usersCollection.findOne({
+          email: req.params.email,
+        });
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
+        }
 
-      if (!code || !discount || !expiry) {
-        return res.status(400).send({ error: "All fields are required" });
+        const preferences = user.notificationPreferences || {};
+        res.send({
+          channels: Object.fromEntries(
+            CHANNELS.map((channel) => [
+              channel,
+              preferences.channels?.[channel] !== false,
+            ])
+          ),
+          events: Object.fromEntries(
+            Object.values(EVENTS).map((event) => [
+              event,
+              preferences.events?.[event] !== false,
+            ])
+          ),
+        });
+      } catch (error) {
+        console.error("Error fetching notification preferences:", error);
+        res.status(500).send({ error: "Failed to fetch preferences" });
       }
-
-      const newCoupon = { code, discount, expiry };
-      const result = await couponsCollection.insertOne(newCoupon);
-      res.send({ success: true, insertedId: result.insertedId });
-    } catch (error) {
-      res.status(500).send({ error: "Failed to add coupon" });
     }
-  });
+  );
 
-  // DELETE a coupon
-  app.delete(
-    "/coupons/:id",
+  // Opt in or out, e.g. { channels: { email: false } }. Only what's sent
+  // changes.
+  app.patch(
+    "/users/:email/notification-preferences",
     verifyFirebaseToken,
-    verifyAdmin,
+    authorize("admin", emailParam),
+    validateBody(schemas.notificationPreferences, { partial: true }),
     async (req, res) => {
       try {
-        const { id } = req.params;
-        const result = await couponsCollection.deleteOne({
-          _id: new ObjectId(id),
-        });
-        if (result.deletedCount === 0) {
-          return res.status(404).send({ error: "Coupon not found" });
+        const updates = {};
+        for (const group of ["channels", "events"]) {
+          for (const [key, value] of Object.entries(req.body[group] || {})) {
+            updates[`notificationPreferences.${group}.${key}`] = value;
+          }
+        }
+        if (Object.keys(updates).length === 0) {
+          return res.status(400).send({ error: "Nothing to change" });
+        }
+
+        const result = await usersCollection.updateOne(
+          { email: req.params.email },
+          { $set: updates }
+        );
+        if (result.matchedCount === 0) {
+          return res.status(404).send({ error: "User not found" });
         }
         res.send({ success: true });
       } catch (error) {
-        res.status(500).send({ error: "Failed to delete coupon" });
+        console.error("Error updating notification preferences:", error);
+        res.status(500).send({ error: "Failed to update preferences" });
       }
     }
   );
 
-  // UPDATE a coupon
-  app.put(
-    "/coupons/:id",
+  // Register a device for push notifications
+  app.post(
+    "/users/:email/devices",
     verifyFirebaseToken,
-    verifyAdmin,
+    authorize("admin", emailParam),
+    validateBody(schemas.device),
     async (req, res) => {
       try {
-        const { id } = req.params;
-        const updatedCoupon = req.body;
-
-        const result = await couponsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedCoupon }
+        const result = await usersCollection.updateOne(
+          { email: req.params.email },
+          { $addToSet: { fcmTokens: req.body.token } }
         );
-
         if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "Coupon not found" });
+          return res.status(404).send({ error: "User not found" });
         }
         res.send({ success: true });
       } catch (error) {
-        res.status(500).send({ error: "Failed to update coupon" });
+        console.error("Error registering device:", error);
+        res.status(500).send({ error: "Failed to register device" });
       }
     }
   );
 
-  // GET coupon by code
-  app.get("/coupons/:code", verifyFirebaseToken, async (req, res) => {
-    try {
-      const { code } = req.params;
-      const coupon = await couponsCollection.findOne({ code: code.trim() });
-
-      if (!coupon) {
-        return res
-          .status(404)
-          .send({ isValid: false, error: "Coupon not found" });
-      }
-
-      // Check expiry date
-      const currentDate = new Date();
-      const expiryDate = new Date(coupon.expiry);
-      if (currentDate > expiryDate) {
-        return res
-          .status(400)
-          .send({ isValid: false, error: "Coupon has expired" });
+  app.delete(
+    "/users/:email/devices/:token",
+    verifyFirebaseToken,
+    authorize("admin", emailParam),
+    async (req, res) => {
+      try {
+        await usersCollection.updateOne(
+          { email: req.params.email },
+          { $pull: { fcmTokens: req.params.token } }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error removing device:", error);
+        res.status(500).send({ error: "Failed to remove device" });
       }
-
-      // Coupon is valid
-      res.send({
-        isValid: true,
-        discount: coupon.discount, // Discount in USD
-        code: coupon.code,
-        expiry: coupon.expiry,
-      });
-    } catch (error) {
-      res.status(500).send({ isValid: false, error: "Failed to fetch coupon" });
     }
-  });
-
-  // -------------------------
-  // Announcements CRUD
-  // -------------------------
+  );
 
-  // Get all announcements
-  app.get("/announcements", async (req, res) => {
-    try {
-      const announcements = await announcementsCollection.find().toArray();
-      res.send(announcements);
-    } catch (error) {
-      res.status(500).send({ error: "Failed to fetch announcements" });
-    }
-  });
+  // --------------------------
+  // CALENDAR FEEDS
+  // --------------------------
 
-  // Add announcement
+  // Issue a user's calendar feed URL, revoking any earlier one
   app.post(
-    "/announcements",
+    "/users/:email/calendar-feed",
     verifyFirebaseToken,
-    verifyAdmin,
+    authorize("admin", emailParam),
     async (req, res) => {
       try {
-        const newAnnouncement = req.body;
-        if (!newAnnouncement.title || !newAnnouncement.message) {
-          return res
-            .status(400)
-            .send({ error: "Title and message are required" });
+        const { email } = req.params;
+        const user = await usersCollection.findOne({ email });
+        if (!user) {
+          return res.status(404).send({ error: "User not found" });
         }
 
-        const result = await announcementsCollection.insertOne(newAnnouncement);
-        res.send({ success: true, insertedId: result.insertedId });
+        const url = await issueCalendarToken(
+          req,
+          usersCollection,
+          { _id: user._id },
+          "users"
+        );
+        res.send({ url });
       } catch (error) {
-        res.status(500).send({ error: "Failed to add announcement" });
+        console.error("Error issuing calendar feed:", error);
+        res.status(500).send({ error: "Failed to issue calendar feed" });
       }
     }
   );
 
-  // Update announcement
-  app.put(
-    "/announcements/:id",
+  // Revoke a user's calendar feed
+  app.delete(
+    "/users/:email/calendar-feed",
     verifyFirebaseToken,
-    verifyAdmin,
+    authorize("admin", emailParam),
     async (req, res) => {
       try {
-        const { id } = req.params;
-        const updatedAnnouncement = req.body;
-        const result = await announcementsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedAnnouncement }
+        await usersCollection.updateOne(
+          { email: req.params.email },
+          { $unset: { calendarTokenHash: "" } }
         );
-
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ error: "Announcement not found" });
-        }
         res.send({ success: true });
       } catch (error) {
-        res.status(500).send({ error: "Failed to update announcement" });
+        console.error("Error revoking calendar feed:", error);
+        res.status(500).send({ error: "Failed to revoke calendar feed" });
       }
     }
   );
 
-  // Delete announcement
-  app.delete(
-    "/announcements/:id",
+  // Issue a court's calendar feed URL for front-desk staff
+  app.post(
+    "/courts/:id/calendar-feed",
     verifyFirebaseToken,
-    verifyAdmin,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
     async (req, res) => {
       try {
-        const { id } = req.params;
-        const result = await announcementsCollection.deleteOne({
-          _id: new ObjectId(id),
+        const court = await courtsCollection.findOne({
+          _id: new ObjectId(req.params.id),
         });
-
-        if (result.deletedCount === 0) {
-          return res.status(404).send({ error: "Announcement not found" });
+        if (!court) {
+          return res.status(404).send({ error: "Court not found" });
         }
-        res.send({ success: true });
+
+        const url = await issueCalendarToken(
+          req,
+          courtsCollection,
+          { _id: court._id },
+          "courts"
+        );
+        res.send({ url });
       } catch (error) {
-        res.status(500).send({ error: "Failed to delete announcement" });
+        console.error("Error issuing court calendar feed:", error);
+        res.status(500).send({ error: "Failed to issue calendar feed" });
       }
     }
   );
 
-  // -------------------------
-  // Payment CRUD
-  // -------------------------
-
-  // get payment data
-  app.get("/payments", verifyFirebaseToken, async (req, res) => {
-    try {
-      const userEmail = req.query.email;
-      if (req.decoded.email !== userEmail) {
-        return res.status(403).send({ message: "forbidden access" });
+  // Revoke a court's calendar feed
+  app.delete(
+    "/courts/:id/calendar-feed",
+    verifyFirebaseToken,
+    validateIdParams("id"),
+    authorize("admin", courtVenue),
+    async (req, res) => {
+      try {
+        await courtsCollection.updateOne(
+          { _id: new ObjectId(req.params.id) },
+          { $unset: { calendarTokenHash: "" } }
+        );
+        res.send({ success: true });
+      } catch (error) {
+        console.error("Error revoking court calendar feed:", error);
+        res.status(500).send({ error: "Failed to revoke calendar feed" });
       }
-
-      const query = userEmail ? { email: userEmail } : {};
-      const options = { sort: { paid_at: -1 } }; // Latest first
-
-      const payments = await paymentsCollection.find(query, options).toArray();
-      res.send(payments);
-    } catch (error) {
-      console.error("Error fetching payment history:", error);
-      res.status(500).send({ message: "Failed to get payments" });
     }
-  });
+  );
 
-  // post payment data
-  app.post("/payments", verifyFirebaseToken, async (req, res) => {
+  // A user's approved and paid bookings
+  app.get("/calendar/users/:token.ics", async (req, res) => {
     try {
-      const {
-        bookingId,
-        email,
-        amount,
-        paymentMethod,
-        transactionId,
-        discount,
-        coupon,
-      } = req.body;
-
-      if (!bookingId || !ObjectId.isValid(bookingId)) {
-        return res.status(400).send({ error: "Invalid or missing booking ID" });
-      }
-
-      const payment = {
-        bookingId,
-        email,
-        amount,
-        paymentMethod,
-        transactionId,
-        discount: discount || 0,
-        coupon: coupon || null,
-        createdAt: new Date(),
-      };
-
-      await paymentsCollection.insertOne(payment);
-
-      const updateResult = await bookingsCollection.updateOne(
-        { _id: new ObjectId(bookingId) },
-        { $set: { status: "paid" } }
-      );
-
-      if (updateResult.matchedCount === 0) {
-        return res
-          .status(404)
-          .send({ error: "Booking not found or status not updated" });
+      const user = await usersCollection.findOne({
+        calendarTokenHash: hashToken(req.params.token),
+      });
+      if (!user) {
+        return res.status(404).send({ error: "Calendar not found" });
       }
 
-      res.send({
-        success: true,
-        message: "Payment recorded and booking confirmed",
+      const bookings = await feedBookings({
+        userEmail: user.email,
+        status: { $in: ["approved", "paid", "confirmed", "completed"] },
       });
+      sendCalendar(
+        res,
+        "Court Connect bookings",
+        bookings.flatMap((booking) =>
+          bookingEvents(booking, {
+            summary: `${booking.courtName} booking`,
+            describe: (b) =>
+              b.status === "approved"
+                ? "Approved, waiting for payment"
+                : "Paid",
+          })
+        )
+      );
     } catch (error) {
-      console.error("Error processing payment:", error);
-      res.status(500).send({ error: "Failed to process payment" });
+      console.error("Error building user calendar:", error);
+      res.status(500).send({ error: "Failed to build calendar" });
     }
   });
 
-  // payment intent
-  app.post("/create-payment-intent", verifyFirebaseToken, async (req, res) => {
+  // Every booked slot of a court
+  app.get("/calendar/courts/:token.ics", async (req, res) => {
     try {
-      const { amount } = req.body;
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount,
-        currency: "usd",
-        payment_method_types: ["card"],
+      const court = await courtsCollection.findOne({
+        calendarTokenHash: hashToken(req.params.token),
       });
-      res.send(paymentIntent.client_secret);
+      if (!court) {
+        return res.status(404).send({ error: "Calendar not found" });
+      }
+
+      const bookings = await feedBookings({
+        courtId: String(court._id),
+        status: { $in: [...ACTIVE_BOOKING_STATUSES, "completed"] },
+      });
+      sendCalendar(
+        res,
+        `${court.name || court.type} bookings`,
+        bookings.flatMap((booking) =>
+          bookingEvents(booking, {
+            summary: `Booked: ${booking.userEmail}`,
+            describe: (b) => `Status: ${b.status}`,
+          })
+        )
+      );
     } catch (error) {
-      console.error("Error creating payment intent:", error);
-      res.status(500).send({ error: "Failed to create payment intent" });
+      console.error("Error building court calendar:", error);
+      res.status(500).send({ error: "Failed to build calendar" });
     }
   });
 
-  /// profile section
+  // --------------------------
+  // AUDIT LOG (Admin)
+  // --------------------------
+
+  // Who changed what, newest first. Filters: ?action=, ?targetType=,
+  // ?targetId=, ?actor= (email) and ?atFrom=&atTo=.
   app.get(
-    "/admin/profile/:email",
+    "/admin/audit",
     verifyFirebaseToken,
     verifyAdmin,
     async (req, res) => {
       try {
-        const adminEmail = req.params.email;
-
-        // Find the admin user
-        const adminUser = await usersCollection.findOne({ email: adminEmail });
-
-        if (!adminUser) {
-          return res.status(404).send({ error: "Admin not found" });
+        const listQuery = parseListQuery(req.query, LIST_SPECS.audit);
+        if (listQuery.error) {
+          return res.status(400).send({ error: listQuery.error });
         }
 
-        // Fetch statistics
-        const [totalCourts, totalUsers, totalMembers] = await Promise.all([
-          courtsCollection.countDocuments(),
-          usersCollection.countDocuments(),
-          usersCollection.countDocuments({ role: "member" }),
-        ]);
-
-        res.send({
-          name: adminUser.name || "Admin",
-          email: adminUser.email,
-          image: adminUser.image || "/default-admin.png",
-          totalCourts,
-          totalUsers,
-          totalMembers,
-        });
+        res.send(await listPage(auditCollection, listQuery));
       } catch (error) {
-        console.error("Error fetching admin profile:", error);
-        res.status(500).send({ error: "Failed to fetch admin profile" });
+        console.error("Error fetching audit log:", error);
+        res.status(500).send({ error: "Failed to fetch audit log" });
       }
     }
   );
 
-  // Get member profile by email
-  app.get("/member/profile/:email", verifyFirebaseToken, async (req, res) => {
-    try {
-      const memberEmail = req.params.email;
-
-      const member = await usersCollection.findOne({ email: memberEmail });
-      if (!member) {
-        return res.status(404).send({ error: "User not found" });
-      }
-
-      res.send({
-        name: member.name || "Member",
-        email: member.email,
-        image: member.image || "/default-user.png",
-        role: member.role || "user",
-        memberSince: member.memberSince || null,
-      });
-    } catch (error) {
-      console.error("Error fetching member profile:", error);
-      res.status(500).send({ error: "Failed to fetch member profile" });
-    }
-  });
+  // --------------------------
+  // Background Jobs
+  // --------------------------
+  startBookingSweeper();
+  startNotifications();
+  startMembershipSweeper();
 
   // --------------------------
   // Start Server
   // --------------------------
-  app.listen(port,'0.0.0.0', () => {
+  app.listen(port, "0.0.0.0", () => {
     console.log(`🚀 Server running at ${port}`);
   });
 }
 
 connectDB();
-
-
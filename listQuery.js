@@ -0,0 +1,234 @@
+// --------------------------
+// List Queries
+// --------------------------
+//
+// Shared paging, sorting and filtering for list endpoints. Each endpoint
+// describes what it allows in a spec:
+//
+//   {
+//     sortFields: ["createdAt", "date"],   // ?sort=-createdAt
+//     defaultSort: "-createdAt",
+//     filters: {
+//       status: { type: "exact" },         // ?status=pending,approved
+//       search: { type: "search", fields: ["courtName"] },
+//       date: { type: "dayRange" },        // ?dateFrom=2025-08-01&dateTo=...
+//       createdAt: { type: "dateRange" },  // ?createdAtFrom=...
+//       price: { type: "numberRange" },    // ?priceFrom=10&priceTo=30
+//     },
+//   }
+//
+// Pages come from ?page=&limit= or, for long lists, ?cursor= with the
+// nextCursor of the previous response.
+
+const { ObjectId } = require("mongodb");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseSort = (value, spec) => {
+  const sort = value || spec.defaultSort || "-_id";
+  const field = sort.replace(/^-/, "");
+  if (field !== "_id" && !(spec.sortFields || []).includes(field)) {
+    return { error: `Can't sort by ${field}` };
+  }
+  return { field, direction: sort.startsWith("-") ? -1 : 1 };
+};
+
+// Turn the filter parameters of a request into a Mongo filter
+const buildFilter = (query, spec) => {
+  const filter = {};
+
+  for (const [name, rule] of Object.entries(spec.filters || {})) {
+    const field = rule.field || name;
+
+    if (rule.type === "exact" && query[name] !== undefined) {
+      const values = String(query[name]).split(",").filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+
+    if (rule.type === "search" && query[name]) {
+      const pattern = {
+        $regex: escapeRegex(String(query[name])),
+        $options: "i",
+      };
+      filter.$or = rule.fields.map((searchField) => ({
+        [searchField]: pattern,
+      }));
+    }
+
+    if (["dateRange", "dayRange", "numberRange"].includes(rule.type)) {
+      const range = {};
+      for (const [suffix, operator] of [
+        ["From", "$gte"],
+        ["To", "$lte"],
+      ]) {
+        const raw = query[`${name}${suffix}`];
+        if (raw === undefined) continue;
+
+        if (rule.type === "dayRange") {
+          // Stored as "YYYY-MM-DD" strings, which sort like dates
+          if (!DAY_PATTERN.test(raw)) {
+            return { error: `${name}${suffix} must look like YYYY-MM-DD` };
+          }
+          range[operator] = raw;
+        } else if (rule.type === "dateRange") {
+          const date = new Date(raw);
+          if (Number.isNaN(date.getTime())) {
+            return { error: `${name}${suffix} is not a valid date` };
+          }
+          range[operator] = date;
+        } else {
+          const number = Number(raw);
+          if (Number.isNaN(number)) {
+            return { error: `${name}${suffix} must be a number` };
+          }
+          range[operator] = number;
+        }
+      }
+      if (Object.keys(range).length > 0) {
+        filter[field] = range;
+      }
+    }
+  }
+
+  return { filter };
+};
+
+const encodeCursor = (item, field) => {
+  const value = item[field];
+  return Buffer.from(
+    JSON.stringify({
+      value,
+      isDate: value instanceof Date,
+      id: String(item._id),
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { value, isDate, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!ObjectId.isValid(id)) return null;
+    return { value: isDate ? new Date(value) : value, id: new ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Parse ?page, ?limit, ?cursor and ?sort plus the spec's filters. Returns
+// { error } or everything listPage needs.
+const parseListQuery = (query, spec) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a whole number from 1" };
+  }
+
+  const sort = parseSort(query.sort, spec);
+  if (sort.error) return sort;
+
+  const { filter, error } = buildFilter(query, spec);
+  if (error) return { error };
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return { filter, sort, page, limit, cursor };
+};
+
+// Both may constrain the same field (or both carry an $or), and then both
+// must hold
+const mergeFilters = (filter, baseFilter) =>
+  Object.keys(baseFilter).some((key) => key in filter)
+    ? { $and: [filter, baseFilter] }
+    : { ...filter, ...baseFilter };
+
+const mongoSortOf = (sort) =>
+  sort.field === "_id"
+    ? { _id: sort.direction }
+    : { [sort.field]: sort.direction, _id: sort.direction };
+
+// Run a parsed list query against a collection. baseFilter holds conditions
+// the endpoint always applies (e.g. only the caller's own rows).
+// leadingSort holds [field, direction] pairs that order rows before the
+// requested sort does. A cursor can't follow those, so endpoints that use
+// it only page by ?page=.
+const listPage = async (
+  collection,
+  parsed,
+  baseFilter = {},
+  { leadingSort = [] } = {}
+) => {
+  const { sort, page, limit, cursor } = parsed;
+  const filter = mergeFilters(parsed.filter, baseFilter);
+  const mongoSort = Object.fromEntries([
+    ...leadingSort,
+    ...Object.entries(mongoSortOf(sort)).filter(
+      ([field]) => !leadingSort.some(([leading]) => leading === field)
+    ),
+  ]);
+
+  let pageFilter = filter;
+  if (cursor) {
+    // Everything after the last row of the previous page
+    const operator = sort.direction === 1 ? "$gt" : "$lt";
+    const after =
+      sort.field === "_id"
+        ? { _id: { [operator]: cursor.id } }
+        : {
+            $or: [
+              { [sort.field]: { [operator]: cursor.value } },
+              { [sort.field]: cursor.value, _id: { [operator]: cursor.id } },
+            ],
+          };
+    pageFilter = { $and: [filter, after] };
+  }
+
+  const [rows, total] = await Promise.all([
+    collection
+      .find(pageFilter)
+      .sort(mongoSort)
+      .skip(cursor ? 0 : (page - 1) * limit)
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    total,
+    page: cursor ? null : page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    nextCursor:
+      hasMore && leadingSort.length === 0
+        ? encodeCursor(items[items.length - 1], sort.field)
+        : null,
+  };
+};
+
+// Every row a parsed list query matches, unpaged, as a cursor to stream
+const listCursor = (collection, parsed, baseFilter = {}) =>
+  collection
+    .find(mergeFilters(parsed.filter, baseFilter))
+    .sort(mongoSortOf(parsed.sort));
+
+module.exports = {
+  parseListQuery,
+  listPage,
+  listCursor,
+};
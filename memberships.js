@@ -0,0 +1,110 @@
+// --------------------------
+// Memberships
+// --------------------------
+//
+// Paid membership plans are billed as Stripe subscriptions, and a user's
+// role follows their subscription: "member" while it's live, back to "user"
+// once it lapses. When a renewal fails (past_due or unpaid) the member keeps
+// their benefits for graceDays past the end of the period they paid for,
+// while Stripe retries the charge. Admins and venue managers keep their role
+// whatever their subscription does.
+
+const MEMBERSHIP_INTERVALS = ["month", "year"];
+
+// Subscription statuses that keep membership until the grace period ends
+const MEMBER_STATUSES = ["active", "trialing", "past_due", "unpaid"];
+
+const STAFF_ROLES = ["admin", "venue-manager"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What we keep of a Stripe subscription on the user, as user.membership.
+// Newer API versions keep the billing period on the subscription item.
+const membershipFromSubscription = (subscription, { planId, graceDays }) => {
+  const item = subscription.items?.data?.[0];
+  const periodEnd =
+    item?.current_period_end ?? subscription.current_period_end ?? null;
+  const currentPeriodEnd = periodEnd ? new Date(periodEnd * 1000) : null;
+
+  return {
+    planId,
+    subscriptionId: subscription.id,
+    customerId: subscription.customer,
+    status: subscription.status,
+    currentPeriodEnd,
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    graceUntil: currentPeriodEnd
+      ? new Date(currentPeriodEnd.getTime() + graceDays * DAY_MS)
+      : null,
+    updatedAt: new Date(),
+  };
+};
+
+const membershipActive = (membership, now = new Date()) =>
+  Boolean(membership) &&
+  MEMBER_STATUSES.includes(membership.status) &&
+  membership.graceUntil != null &&
+  now < new Date(membership.graceUntil);
+
+// Still a member, but only because of the grace period
+const inGracePeriod = (membership, now = new Date()) =>
+  membershipActive(membership, now) &&
+  (!["active", "trialing"].includes(membership.status) ||
+    now >= new Date(membership.currentPeriodEnd));
+
+// The user update that brings role and memberSince in line with a
+// membership, or null when nothing changes. A subscription still waiting
+// for its first payment changes nothing yet.
+const membershipRoleUpdate = (user, membership, now = new Date()) => {
+  if (STAFF_ROLES.includes(user.role)) return null;
+  if (membership?.status === "incomplete") return null;
+
+  const active = membershipActive(membership, now);
+  if (active && user.role !== "member") {
+    return { $set: { role: "member", memberSince: now } };
+  }
+  if (!active && user.role === "member") {
+    return { $set: { role: "user" }, $unset: { memberSince: "" } };
+  }
+  return null;
+};
+
+// A plan's member discount as a pricing rule, see pricingRules.js
+const membershipPricingRule = (plan) =>
+  plan.discountPercent > 0
+    ? {
+        name: `${plan.name} membership`,
+        kind: "member",
+        multiplier: 1 - plan.discountPercent / 100,
+      }
+    : null;
+
+// How many days ahead a user may book: the plan's window when it's longer
+// than everyone's, null for no limit
+const bookingWindowDays = (plan, defaultDays) => {
+  if (defaultDays == null) return null;
+  return Math.max(plan?.bookingWindowDays ?? 0, defaultDays);
+};
+
+// Build a plan document from admin input that already passed
+// schemas.membershipPlan
+const buildMembershipPlan = (input) => ({
+  name: input.name.trim(),
+  description: input.description ?? "",
+  interval: input.interval,
+  price: input.price,
+  discountPercent: input.discountPercent ?? 0,
+  bookingWindowDays: input.bookingWindowDays ?? null,
+  active: input.active ?? true,
+});
+
+module.exports = {
+  MEMBERSHIP_INTERVALS,
+  membershipFromSubscription,
+  membershipActive,
+  inGracePeriod,
+  membershipRoleUpdate,
+  membershipPricingRule,
+  bookingWindowDays,
+  buildMembershipPlan,
+};
@@ -0,0 +1,160 @@
+// --------------------------
+// Notifications
+// --------------------------
+//
+// Turns events from eventBus.js into messages from TEMPLATES and hands them
+// to every transport the user hasn't opted out of. Transports come from
+// config.notifications.transports:
+//
+//   smtp     email through nodemailer
+//   fcm      push to the user's devices through firebase-admin
+//   console  prints messages, or appends them to a file, for local use
+//
+// Users opt in or out per channel (email, push) and per event in
+// notificationPreferences; anything not set is on.
+
+const fs = require("fs");
+const nodemailer = require("nodemailer");
+const { EVENTS } = require("./eventBus");
+
+const CHANNELS = ["email", "push"];
+
+const slotList = (slots) => (slots || []).join(", ");
+
+// Each template gives { subject, text } for an event's data
+const TEMPLATES = {
+  [EVENTS.BOOKING_CREATED]: ({ booking }) => ({
+    subject: `Booking request for ${booking.courtName}`,
+    text:
+      `We got your request for ${booking.courtName} on ${booking.date} ` +
+      `(${slotList(booking.slots)}). We'll let you know once it's approved.`,
+  }),
+  [EVENTS.BOOKING_STATUS_CHANGED]: ({ booking, to, reason }) => ({
+    subject: `Your booking is ${to}`,
+    text:
+      `Your booking for ${booking.courtName} on ${booking.date} ` +
+      `(${slotList(booking.slots)}) is now ${to}.` +
+      (to === "approved" ? " You can pay for it now." : "") +
+      (reason ? ` Reason: ${reason}` : ""),
+  }),
+  [EVENTS.PAYMENT_RECORDED]: ({ booking, payment }) => ({
+    subject: "Payment received",
+    text:
+      `We received $${Number(payment.amount).toFixed(2)} for ` +
+      `${booking.courtName} on ${booking.date}. ` +
+      `Transaction ID: ${payment.transactionId}.`,
+  }),
+  [EVENTS.ANNOUNCEMENT_PUBLISHED]: ({ announcement }) => ({
+    subject: announcement.title,
+    text: announcement.message,
+  }),
+  [EVENTS.BOOKING_REMINDER]: ({ booking, startsAt }) => ({
+    subject: `Reminder: ${booking.courtName} ${booking.date}`,
+    text:
+      `Your booking for ${booking.courtName} starts at ` +
+      `${startsAt.toLocaleString("en-US")} (${slotList(booking.slots)}).`,
+  }),
+};
+
+const renderNotification = (event, data) => TEMPLATES[event](data);
+
+// Whether a user wants an event on a channel
+const wantsNotification = (user, event, channel) => {
+  const preferences = user?.notificationPreferences || {};
+  return (
+    preferences.channels?.[channel] !== false &&
+    preferences.events?.[event] !== false
+  );
+};
+
+// --------------------------
+// Transports
+// --------------------------
+// { name, channel, send(user, message) }
+
+const smtpTransport = (settings) => {
+  const mailer = nodemailer.createTransport({
+    host: settings.host,
+    port: settings.port,
+    secure: settings.port === 465,
+    auth: settings.user
+      ? { user: settings.user, pass: settings.password }
+      : undefined,
+  });
+  return {
+    name: "smtp",
+    channel: "email",
+    send: (user, message) =>
+      mailer.sendMail({
+        from: settings.from,
+        to: user.email,
+        subject: message.subject,
+        text: message.text,
+      }),
+  };
+};
+
+// Device tokens are registered on users.fcmTokens
+const fcmTransport = (messaging) => ({
+  name: "fcm",
+  channel: "push",
+  send: async (user, message) => {
+    if (!user.fcmTokens?.length) return;
+    await messaging.sendEachForMulticast({
+      tokens: user.fcmTokens,
+      notification: { title: message.subject, body: message.text },
+    });
+  },
+});
+
+// Stands in for email locally
+const consoleTransport = (file) => ({
+  name: "console",
+  channel: "email",
+  send: async (user, message) => {
+    const line = `[${new Date().toISOString()}] to ${user.email}: ${
+      message.subject
+    } - ${message.text}`;
+    if (file) {
+      await fs.promises.appendFile(file, `${line}\n`);
+    } else {
+      console.log(`📣 ${line}`);
+    }
+  },
+});
+
+// The transports config asks for. messaging is firebase-admin's.
+const createTransports = (settings, { messaging }) =>
+  settings.transports.map((name) => {
+    if (name === "smtp") return smtpTransport(settings.smtp);
+    if (name === "fcm") return fcmTransport(messaging);
+    if (name === "console") return consoleTransport(settings.file);
+    throw new Error(`Unknown notification transport ${name}`);
+  });
+
+// Send one event to one user over every transport they want. A transport
+// failing doesn't stop the others.
+const deliver = async (transports, user, event, data) => {
+  const message = renderNotification(event, data);
+  await Promise.all(
+    transports
+      .filter((transport) => wantsNotification(user, event, transport.channel))
+      .map((transport) =>
+        Promise.resolve(transport.send(user, message)).catch((error) => {
+          console.error(
+            `Notification ${event} to ${user.email} over ${transport.name} failed:`,
+            error
+          );
+        })
+      )
+  );
+};
+
+module.exports = {
+  CHANNELS,
+  TEMPLATES,
+  renderNotification,
+  wantsNotification,
+  createTransports,
+  deliver,
+};
@@ -0,0 +1,133 @@
+// --------------------------
+// Pricing Rules
+// --------------------------
+//
+// court.price is the base rate of one slot. Pricing rules scale it slot by
+// slot: every rule that matches a slot multiplies its price, so a weekend
+// peak slot booked by a member gets all three rules. A rule applies to one
+// court (courtId), one court type (courtType) or every court, and matches a
+// slot when all of the conditions it sets hold:
+//
+//   days       weekday names, e.g. ["saturday", "sunday"]
+//   dates      booking dates, e.g. ["2025-12-25"]
+//   startTime  the slot starts at or after this time...
+//   endTime    ...and before this one
+//   roles      the booking user's role, e.g. ["member"]
+
+const { parseTime, parseSlot, startOfDate } = require("./slots");
+const { WEEKDAYS } = require("./bookingSeries");
+
+const PRICING_RULE_KINDS = [
+  "peak",
+  "offpeak",
+  "weekend",
+  "holiday",
+  "member",
+  "custom",
+];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Whether a rule covers a court at all
+const ruleCoversCourt = (rule, court) => {
+  if (rule.active === false) return false;
+  if (rule.courtId) return rule.courtId === String(court._id);
+  if (rule.courtType) return rule.courtType === court.type;
+  return true;
+};
+
+// Whether a rule matches one slot of a booking
+const ruleMatches = (rule, { date, slot, role }) => {
+  if (rule.days?.length > 0) {
+    const day = startOfDate(date);
+    if (!day || !rule.days.includes(WEEKDAYS[day.getDay()])) return false;
+  }
+  if (rule.dates?.length > 0 && !rule.dates.includes(date)) return false;
+  if (rule.roles?.length > 0 && !rule.roles.includes(role || "user")) {
+    return false;
+  }
+  if (rule.startTime) {
+    const range = parseSlot(slot);
+    if (
+      !range ||
+      range.start < parseTime(rule.startTime) ||
+      range.start >= parseTime(rule.endTime)
+    ) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Price each slot of a booking. Returns { breakdown, subtotal } where
+// breakdown lists { slot, price, rules } with the names of matching rules.
+const priceSlots = (court, { date, slots, role, rules = [] }) => {
+  const basePrice = Number(court.price);
+  const courtRules = rules.filter((rule) => ruleCoversCourt(rule, court));
+
+  const breakdown = slots.map((slot) => {
+    const matching = courtRules.filter((rule) =>
+      ruleMatches(rule, { date, slot, role })
+    );
+    const price = matching.reduce(
+      (amount, rule) => amount * rule.multiplier,
+      basePrice
+    );
+    return {
+      slot,
+      price: roundCurrency(price),
+      rules: matching.map((rule) => rule.name),
+    };
+  });
+
+  return {
+    breakdown,
+    subtotal: roundCurrency(
+      breakdown.reduce((sum, line) => sum + line.price, 0)
+    ),
+  };
+};
+
+// Build a pricing rule document from admin input that already passed
+// schemas.pricingRule. Returns { error } or { rule }.
+const buildPricingRule = (input) => {
+  const { kind, courtId, courtType, startTime, endTime } = input;
+
+  if (courtId && courtType) {
+    return { error: "A rule applies to a court or a court type, not both" };
+  }
+  if (Boolean(startTime) !== Boolean(endTime)) {
+    return { error: "Give both a start and an end time, or neither" };
+  }
+  if (startTime && parseTime(endTime) <= parseTime(startTime)) {
+    return { error: "End time must be after the start time" };
+  }
+
+  // Weekend and member rules work without spelling out their condition
+  const days = input.days ?? (kind === "weekend" ? ["saturday", "sunday"] : []);
+  const roles = input.roles ?? (kind === "member" ? ["member"] : []);
+
+  return {
+    rule: {
+      name: input.name.trim(),
+      kind,
+      courtId: courtId ?? null,
+      courtType: courtType ?? null,
+      days,
+      dates: input.dates ?? [],
+      startTime: startTime ?? null,
+      endTime: endTime ?? null,
+      roles,
+      multiplier: input.multiplier,
+      active: input.active ?? true,
+    },
+  };
+};
+
+module.exports = {
+  PRICING_RULE_KINDS,
+  ruleCoversCourt,
+  ruleMatches,
+  priceSlots,
+  buildPricingRule,
+};
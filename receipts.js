@@ -0,0 +1,102 @@
+// --------------------------
+// Payment Receipts
+// --------------------------
+//
+// PDF receipts drawn with pdfkit, one page each. Receipt numbers are handed
+// out in order from a counter when a payment is recorded; payments older
+// than that get theirs the first time a receipt is asked for.
+
+const PDFDocument = require("pdfkit");
+
+const BUSINESS_NAME = "Court Connect";
+
+// Most receipts one bulk export may hold
+const MAX_BULK_RECEIPTS = 500;
+
+const formatReceiptNumber = (number) => `CC-${String(number).padStart(6, "0")}`;
+
+const money = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+// What goes on a receipt, from a payment row and its booking (if found)
+const receiptDetails = (payment, booking) => {
+  const price = booking?.price || {};
+  const discount = payment.discount ?? price.discount ?? 0;
+  return {
+    number: formatReceiptNumber(payment.receiptNumber),
+    issuedTo: payment.email,
+    paidAt: new Date(payment.createdAt),
+    court: booking?.courtName || "Court booking",
+    date: booking?.date || "",
+    slots: booking?.slots || [],
+    basePrice: price.subtotal ?? Number(payment.amount) + discount,
+    coupon: payment.coupon || price.couponCode || null,
+    discount,
+    amountPaid: Number(payment.amount) || 0,
+    refunded: payment.refundedAmount || 0,
+    paymentMethod: payment.paymentMethod || "card",
+    transactionId: payment.transactionId,
+  };
+};
+
+const row = (doc, label, value) => {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").text(label, 50, y, { width: 150 });
+  doc.font("Helvetica").text(String(value), 200, y, { width: 345 });
+  doc.moveDown(0.4);
+};
+
+// Draw one receipt on the current page
+const drawReceipt = (doc, receipt) => {
+  doc.font("Helvetica-Bold").fontSize(20).text(BUSINESS_NAME, 50, 50);
+  doc.fontSize(12).text("Payment receipt", { align: "right" });
+  doc.moveDown(1.5).fontSize(11);
+
+  row(doc, "Receipt number", receipt.number);
+  row(doc, "Issued to", receipt.issuedTo);
+  row(doc, "Paid on", receipt.paidAt.toISOString().slice(0, 10));
+  doc.moveDown();
+
+  row(doc, "Court", receipt.court);
+  row(doc, "Date", receipt.date);
+  row(doc, "Slots", receipt.slots.join("\n") || "-");
+  doc.moveDown();
+
+  row(doc, "Base price", money(receipt.basePrice));
+  if (receipt.coupon) {
+    row(doc, `Coupon ${receipt.coupon}`, `-${money(receipt.discount)}`);
+  }
+  row(doc, "Amount paid", money(receipt.amountPaid));
+  if (receipt.refunded > 0) {
+    row(doc, "Refunded", `-${money(receipt.refunded)}`);
+  }
+  doc.moveDown();
+
+  row(doc, "Payment method", receipt.paymentMethod);
+  row(doc, "Transaction ID", receipt.transactionId);
+
+  doc
+    .moveDown(2)
+    .fontSize(9)
+    .fillColor("#666666")
+    .text("Thank you for booking with us.", 50)
+    .fillColor("#000000");
+};
+
+// A PDF of the receipts, one per page, piped into a writable stream such
+// as an Express response
+const writeReceiptsPdf = (receipts, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(stream);
+  receipts.forEach((receipt, index) => {
+    if (index > 0) doc.addPage();
+    drawReceipt(doc, receipt);
+  });
+  doc.end();
+};
+
+module.exports = {
+  MAX_BULK_RECEIPTS,
+  formatReceiptNumber,
+  receiptDetails,
+  writeReceiptsPdf,
+};
@@ -0,0 +1,280 @@
+// --------------------------
+// Request Schemas
+// --------------------------
+//
+// Bodies accepted by each write route, see validation.js for the rules.
+
+const { COUPON_TYPES } = require("./couponRules");
+const { PRICING_RULE_KINDS } = require("./pricingRules");
+const { EVENTS } = require("./eventBus");
+const { CHANNELS } = require("./notifications");
+const { ANNOUNCEMENT_AUDIENCES } = require("./announcements");
+const { MEMBERSHIP_INTERVALS } = require("./memberships");
+const { BOOKING_STATUSES } = require("./bookingStatus");
+const {
+  WEEKDAYS,
+  parseWeekday,
+  MAX_SERIES_OCCURRENCES,
+} = require("./bookingSeries");
+
+const text = (max, required = false) => ({
+  type: "string",
+  min: 1,
+  max,
+  required,
+});
+
+// An optional field a client may also send as null to clear it
+const nullable = (rule) => ({ ...rule, nullable: true });
+
+const dayHours = {
+  type: "object",
+  fields: {
+    open: { type: "time", required: true },
+    close: { type: "time", required: true },
+  },
+};
+
+const venue = {
+  name: text(100, true),
+  address: text(300),
+  city: text(100),
+  phone: text(30),
+  image: text(2000),
+  description: text(2000),
+};
+
+// slotTimes or openingHours, see courtSchedule.js
+const court = {
+  venueId: { type: "objectId" },
+  name: text(100),
+  type: text(50, true),
+  image: text(2000, true),
+  price: { type: "number", min: 0.01, required: true },
+  // Either may be cleared when a court switches to the other
+  slotTimes: nullable({
+    type: "array",
+    items: { type: "slot" },
+    min: 1,
+    max: 48,
+  }),
+  openingHours: nullable({
+    type: "object",
+    fields: Object.fromEntries(WEEKDAYS.map((day) => [day, dayHours])),
+  }),
+  slotMinutes: { type: "number", integer: true, min: 15, max: 240 },
+  description: text(2000),
+};
+
+const closure = {
+  startDate: { type: "day", required: true },
+  endDate: { type: "day" },
+  startTime: { type: "time" },
+  endTime: { type: "time" },
+  kind: { type: "string", enum: ["maintenance", "holiday", "tournament"] },
+  reason: text(500),
+};
+
+const coupon = {
+  venueId: { type: "objectId" },
+  code: { ...text(50, true), pattern: /^[A-Za-z0-9_-]+$/ },
+  type: { type: "string", enum: COUPON_TYPES },
+  discount: { type: "number", min: 0.01, required: true },
+  expiry: { type: "date", required: true },
+  startsAt: nullable({ type: "date" }),
+  minSpend: { type: "number", min: 0 },
+  maxRedemptions: nullable({ type: "number", integer: true, min: 1 }),
+  perUserLimit: nullable({ type: "number", integer: true, min: 1 }),
+  courtTypes: { type: "array", items: text(50), max: 20 },
+  membersOnly: { type: "boolean" },
+};
+
+const pricingRule = {
+  name: text(100, true),
+  kind: { type: "string", enum: PRICING_RULE_KINDS, required: true },
+  courtId: nullable({ type: "objectId" }),
+  courtType: nullable(text(50)),
+  days: {
+    type: "array",
+    items: { type: "string", enum: WEEKDAYS },
+    max: 7,
+  },
+  dates: { type: "array", items: { type: "day" }, max: 366 },
+  startTime: nullable({ type: "time" }),
+  endTime: nullable({ type: "time" }),
+  roles: {
+    type: "array",
+    items: { type: "string", enum: ["user", "member", "admin"] },
+    max: 3,
+  },
+  multiplier: { type: "number", min: 0, max: 10, required: true },
+  active: { type: "boolean" },
+};
+
+const membershipPlan = {
+  name: text(100, true),
+  description: text(1000),
+  interval: { type: "string", enum: MEMBERSHIP_INTERVALS, required: true },
+  price: { type: "number", min: 0.5, max: 10000, required: true },
+  discountPercent: { type: "number", min: 0, max: 100 },
+  bookingWindowDays: nullable({
+    type: "number",
+    integer: true,
+    min: 1,
+    max: 365,
+  }),
+  active: { type: "boolean" },
+};
+
+const announcement = {
+  venueId: { type: "objectId" },
+  courtId: { type: "objectId" },
+  title: text(200, true),
+  message: text(5000, true),
+  audience: { type: "string", enum: ANNOUNCEMENT_AUDIENCES },
+  publishAt: nullable({ type: "date" }),
+  expiresAt: nullable({ type: "date" }),
+  pinned: { type: "boolean" },
+  priority: { type: "number", integer: true, min: 0, max: 100 },
+};
+
+const statusChange = {
+  status: { type: "string", enum: BOOKING_STATUSES, required: true },
+  reason: nullable(text(500)),
+};
+
+const cancellation = {
+  reason: nullable(text(500)),
+  refundPercent: nullable({ type: "number", min: 0, max: 100 }),
+};
+
+const slotList = {
+  type: "array",
+  items: { type: "slot" },
+  min: 1,
+  max: 24,
+  required: true,
+};
+
+module.exports = {
+  venue,
+  court,
+  closure,
+  coupon,
+  pricingRule,
+  membershipPlan,
+  announcement,
+  statusChange,
+  cancellation,
+
+  booking: {
+    courtId: { type: "objectId", required: true },
+    date: { type: "day", required: true },
+    slots: slotList,
+    couponCode: nullable(text(50)),
+    // Sent by older clients and ignored: the server works these out itself
+    courtName: nullable({ type: "string" }),
+    userEmail: nullable({ type: "email" }),
+    status: nullable({ type: "string" }),
+    totalPrice: nullable({ type: "number" }),
+  },
+
+  bookingSeries: {
+    courtId: { type: "objectId", required: true },
+    slots: slotList,
+    weekday: {
+      type: "any",
+      required: true,
+      check: (value) =>
+        parseWeekday(value) === null ? "must be 0-6 or a day name" : null,
+    },
+    startDate: { type: "day", required: true },
+    // One of these two ends the series
+    endDate: nullable({ type: "day" }),
+    occurrences: nullable({
+      type: "number",
+      integer: true,
+      min: 1,
+      max: MAX_SERIES_OCCURRENCES,
+    }),
+    onConflict: { type: "string", enum: ["skip", "fail"] },
+  },
+
+  waitlistEntry: {
+    date: { type: "day", required: true },
+    slot: { type: "slot", required: true },
+  },
+
+  user: {
+    email: { type: "email" },
+    // Firebase leaves these null for accounts without them
+    name: nullable(text(100)),
+    image: nullable(text(2000)),
+    created_at: { type: "date" },
+    last_log_in: { type: "date" },
+    // Ignored, roles are only set by admins
+    role: nullable({ type: "string" }),
+  },
+
+  roleChange: {
+    role: {
+      type: "string",
+      enum: ["admin", "user", "member", "venue-manager"],
+      required: true,
+    },
+    // Venues a venue-manager looks after
+    venueIds: { type: "array", items: { type: "objectId" }, max: 50 },
+  },
+
+  payment: {
+    bookingId: { type: "objectId" },
+    seriesId: { type: "objectId" },
+    transactionId: text(255, true),
+    // Sent by older clients and ignored: Stripe is asked instead
+    email: nullable({ type: "email" }),
+    amount: nullable({ type: "number" }),
+    paymentMethod: nullable({ type: "string" }),
+    discount: nullable({ type: "number" }),
+    coupon: nullable({ type: "string" }),
+  },
+
+  quote: {
+    courtId: { type: "objectId", required: true },
+    date: { type: "day", required: true },
+    slots: slotList,
+    userEmail: { type: "email" },
+    couponCode: nullable(text(50)),
+  },
+
+  notificationPreferences: {
+    channels: {
+      type: "object",
+      fields: Object.fromEntries(
+        CHANNELS.map((channel) => [channel, { type: "boolean" }])
+      ),
+    },
+    events: {
+      type: "object",
+      fields: Object.fromEntries(
+        Object.values(EVENTS).map((event) => [event, { type: "boolean" }])
+      ),
+    },
+  },
+
+  membershipSignup: {
+    planId: { type: "objectId", required: true },
+  },
+
+  membershipRenewal: {
+    renew: { type: "boolean", required: true },
+  },
+
+  device: {
+    token: text(4096, true),
+  },
+
+  paymentIntent: {
+    bookingId: { type: "objectId", required: true },
+    couponCode: nullable(text(50)),
+  },
+};
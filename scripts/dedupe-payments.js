@@ -0,0 +1,103 @@
+// Removes duplicate payment rows so the server can build its unique payment
+// indexes. Before payments were recorded in a transaction, a replayed
+// webhook could record the same Stripe payment for a booking twice. For each
+// (transactionId, bookingId) this keeps the numbered row, or else the oldest,
+// folds the others' refunds into it and deletes them. It also marks which
+// rows share a series payment (coversSeries), which the index on
+// transactionId relies on.
+//
+// Usage: node scripts/dedupe-payments.js [--apply]
+//   Without --apply it only reports what it would change.
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+const apply = process.argv.includes("--apply");
+
+const keeperFirst = (a, b) =>
+  Boolean(b.receiptNumber) - Boolean(a.receiptNumber) ||
+  new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+
+const main = async () => {
+  const client = new MongoClient(process.env.MONGO_URI);
+  await client.connect();
+  try {
+    const payments = client.db("SportDB").collection("payments");
+
+    const groups = await payments
+      .aggregate([
+        {
+          $group: {
+            _id: { transactionId: "$transactionId", bookingId: "$bookingId" },
+            rows: { $push: "$$ROOT" },
+          },
+        },
+        { $match: { "rows.1": { $exists: true } } },
+      ])
+      .toArray();
+
+    let removed = 0;
+    for (const { _id: key, rows } of groups) {
+      const [keeper, ...duplicates] = rows.sort(keeperFirst);
+      const refunds = [keeper, ...duplicates]
+        .flatMap((row) => row.refunds || [])
+        .filter(
+          (refund, i, all) =>
+            all.findIndex((other) => other.refundId === refund.refundId) === i
+        );
+      const refundedAmount = Math.max(
+        ...rows.map((row) => row.refundedAmount || 0)
+      );
+
+      console.log(
+        `${key.transactionId} / ${key.bookingId}: keeping ${
+          keeper._id
+        }, removing ${duplicates.map((row) => row._id).join(", ")}`
+      );
+      if (apply) {
+        await payments.updateOne(
+          { _id: keeper._id },
+          { $set: { refunds, refundedAmount } }
+        );
+        await payments.deleteMany({
+          _id: { $in: duplicates.map((row) => row._id) },
+        });
+      }
+      removed += duplicates.length;
+    }
+
+    // Rows sharing a transactionId after the dedupe belong to a series payment
+    const shared = await payments
+      .aggregate([
+        { $match: { coversSeries: { $exists: false } } },
+        { $group: { _id: "$transactionId", count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } },
+      ])
+      .toArray();
+    const seriesIds = shared.map((group) => group._id);
+    const unmarked = await payments.countDocuments({
+      coversSeries: { $exists: false },
+    });
+    console.log(
+      `${removed} duplicate row(s), ${unmarked} row(s) to mark, ${seriesIds.length} series payment(s)`
+    );
+    if (apply) {
+      await payments.updateMany(
+        { transactionId: { $in: seriesIds }, coversSeries: { $exists: false } },
+        { $set: { coversSeries: true } }
+      );
+      await payments.updateMany(
+        { coversSeries: { $exists: false } },
+        { $set: { coversSeries: false } }
+      );
+    } else {
+      console.log("Dry run, nothing changed. Run again with --apply.");
+    }
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Dedupe failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+// --------------------------
+// Slot Times
+// --------------------------
+//
+// Court slots are stored as display strings such as "08:00 AM - 09:00 AM".
+// These helpers turn them into minutes since midnight and real dates. The
+// 24-hour form ("18:00 - 19:00") and short forms ("8 AM-9 AM") are read too.
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?$/;
+
+// "08:30 PM" -> 1230, or null if it isn't a time
+const parseTime = (text) => {
+  const match = TIME_PATTERN.exec(String(text).trim());
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3]?.toUpperCase();
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "PM" ? 12 : 0);
+  } else if (hours > 24 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+// "08:00 AM - 09:00 AM" -> { start: 480, end: 540 }, or null
+const parseSlot = (slot) => {
+  const parts = String(slot).split(/\s*[-–]\s*/);
+  if (parts.length !== 2) return null;
+
+  const start = parseTime(parts[0]);
+  let end = parseTime(parts[1]);
+  if (start === null || end === null) return null;
+
+  // A slot ending at midnight ends at the end of the day
+  if (end === 0) end = 24 * 60;
+  if (end <= start) return null;
+
+  return { start, end };
+};
+
+// Midnight (server time) of a booking date such as "2025-08-14"
+const startOfDate = (date) => {
+  let day = new Date(`${date}T00:00:00`);
+  if (Number.isNaN(day.getTime())) {
+    day = new Date(date);
+  }
+  if (Number.isNaN(day.getTime())) return null;
+
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const dateAtMinutes = (date, minutes) => {
+  const day = startOfDate(date);
+  if (!day) return null;
+  day.setMinutes(minutes);
+  return day;
+};
+
+// When the earliest of a booking's slots starts, or null if unreadable
+const firstSlotStart = (date, slots) => {
+  const starts = (slots || [])
+    .map(parseSlot)
+    .filter(Boolean)
+    .map((slot) => slot.start);
+  if (starts.length === 0) return null;
+
+  return dateAtMinutes(date, Math.min(...starts));
+};
+
+module.exports = {
+  parseTime,
+  parseSlot,
+  startOfDate,
+  dateAtMinutes,
+  firstSlotStart,
+};
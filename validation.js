@@ -0,0 +1,225 @@
+// --------------------------
+// Request Validation
+// --------------------------
+//
+// A schema maps each allowed field to a rule. Fields not in the schema are
+// rejected, so a body can never smuggle in extra keys or Mongo operators.
+//
+//   { type: "string", required, min, max, enum, pattern }   min/max: length
+//   { type: "number", required, min, max, integer }
+//   { type: "boolean" }
+//   { type: "date" }       anything Date can parse, e.g. ISO timestamps
+//   { type: "day" }        "2025-08-14"
+//   { type: "slot" }       "08:00 AM - 09:00 AM", see slots.js
+//   { type: "time" }       "08:00 AM" or "20:00"
+//   { type: "objectId" }
+//   { type: "email" }
+//   { type: "array", items: rule, min, max }                min/max: length
+//   { type: "object", fields: schema }
+//   { type: "any", check: (value) => message or null }
+//
+// null is only accepted where the rule says nullable: true, which is how a
+// client clears an optional field. Elsewhere it fails like a wrong type, so
+// an update can't blank out a required field.
+//
+// Failures come back as one 400: { error, fields: [{ field, message }] }.
+
+const { parseTime, parseSlot } = require("./slots");
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Returns an error message for a single value, or null when it's fine
+const checkValue = (rule, value) => {
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return "must be a string";
+      if (rule.min !== undefined && value.trim().length < rule.min) {
+        return rule.min === 1
+          ? "must not be empty"
+          : `must be at least ${rule.min} characters`;
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return `must be at most ${rule.max} characters`;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(", ")}`;
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return "has an invalid format";
+      }
+      return null;
+
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return "must be a number";
+      }
+      if (rule.integer && !Number.isInteger(value)) {
+        return "must be a whole number";
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+      }
+      return null;
+
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+
+    case "date":
+      return typeof value === "string" &&
+        !Number.isNaN(new Date(value).getTime())
+        ? null
+        : "must be a valid date";
+
+    case "day":
+      return typeof value === "string" &&
+        DAY_PATTERN.test(value) &&
+        !Number.isNaN(new Date(`${value}T00:00:00`).getTime())
+        ? null
+        : "must be a date like 2025-08-14";
+
+    case "slot":
+      return typeof value === "string" && parseSlot(value)
+        ? null
+        : "must be a slot like 08:00 AM - 09:00 AM";
+
+    case "time":
+      return typeof value === "string" && parseTime(value) !== null
+        ? null
+        : "must be a time like 08:00 AM or 20:00";
+
+    case "objectId":
+      return typeof value === "string" && OBJECT_ID_PATTERN.test(value)
+        ? null
+        : "must be a valid ID";
+
+    case "email":
+      return typeof value === "string" && EMAIL_PATTERN.test(value)
+        ? null
+        : "must be a valid email";
+
+    case "array":
+      if (!Array.isArray(value)) return "must be a list";
+      if (rule.min !== undefined && value.length < rule.min) {
+        return `must have at least ${rule.min} item(s)`;
+      }
+      if (rule.max !== undefined && value.length > rule.max) {
+        return `must have at most ${rule.max} items`;
+      }
+      return null;
+
+    case "object":
+      return isPlainObject(value) ? null : "must be an object";
+
+    case "any":
+      return rule.check ? rule.check(value) : null;
+
+    default:
+      throw new Error(`Unknown validation type ${rule.type}`);
+  }
+};
+
+// Check data against a schema. With partial set, required fields may be
+// left out (updates). Returns a list of { field, message }.
+const validate = (schema, data, { partial = false, path = "" } = {}) => {
+  if (!isPlainObject(data)) {
+    return [{ field: path || "body", message: "must be an object" }];
+  }
+
+  const errors = [];
+
+  for (const field of Object.keys(data)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ field: `${path}${field}`, message: "is not allowed" });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const name = `${path}${field}`;
+    const value = data[field];
+
+    if (value === undefined) {
+      if (rule.required && !partial) {
+        errors.push({ field: name, message: "is required" });
+      }
+      continue;
+    }
+    if (value === null) {
+      if (!rule.nullable) {
+        errors.push({
+          field: name,
+          message: rule.required ? "is required" : "must not be null",
+        });
+      }
+      continue;
+    }
+
+    const message = checkValue(rule, value);
+    if (message) {
+      errors.push({ field: name, message });
+      continue;
+    }
+
+    if (rule.type === "array" && rule.items) {
+      value.forEach((item, index) => {
+        const itemMessage = checkValue(rule.items, item);
+        if (itemMessage) {
+          errors.push({ field: `${name}[${index}]`, message: itemMessage });
+        }
+      });
+    }
+    if (rule.type === "object" && rule.fields) {
+      errors.push(...validate(rule.fields, value, { path: `${name}.` }));
+    }
+  }
+
+  return errors;
+};
+
+const sendValidationError = (res, fields) =>
+  res.status(400).send({ error: "Validation failed", fields });
+
+// Middleware checking req.body against a schema
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    // Express leaves req.body undefined when nothing was sent
+    req.body = req.body ?? {};
+    const errors = validate(schema, req.body, options);
+    if (
+      options.partial &&
+      errors.length === 0 &&
+      Object.keys(req.body).length === 0
+    ) {
+      return sendValidationError(res, [
+        { field: "body", message: "must change at least one field" },
+      ]);
+    }
+    if (errors.length > 0) return sendValidationError(res, errors);
+    next();
+  };
+
+// Middleware checking that the named route params are ObjectIds
+const validateIdParams =
+  (...names) =>
+  (req, res, next) => {
+    const errors = names
+      .filter((name) => !OBJECT_ID_PATTERN.test(req.params[name] || ""))
+      .map((name) => ({ field: name, message: "must be a valid ID" }));
+    if (errors.length > 0) return sendValidationError(res, errors);
+    next();
+  };
+
+module.exports = {
+  validate,
+  validateBody,
+  validateIdParams,
+  sendValidationError,
+};